@@ -13,6 +13,19 @@ const judgeSchema = new mongoose.Schema({
     bio: { type: String, default: '' },
     status: { type: String, enum: ['pending', 'active', 'inactive'], default: 'pending' },
     votes_cast: { type: Number, default: 0 },
+    // Conflict-of-interest declarations. Nominations of these businesses
+    // (and of any business named like the judge's own organization) are hidden
+    // from the judge and cannot be scored by them.
+    conflicts: [{
+        kind: { type: String, enum: ['organization', 'business'], required: true },
+        organization: { type: String, trim: true },
+        business_id: { type: mongoose.Schema.Types.ObjectId, ref: 'BusinessUser' },
+        business_name: { type: String },
+        relationship: { type: String, default: '' },
+        declared_at: { type: Date, default: Date.now },
+        // Withdrawn declarations are kept for the audit trail
+        withdrawn_at: { type: Date, default: null }
+    }],
     last_login: { type: Date },
     login_attempts: { type: Number, default: 0 },
     lock_until: { type: Date },
@@ -52,6 +65,20 @@ judgeSchema.methods.incrementLoginAttempts = function() {
     return this.save();
 };
 
+// Declarations the judge has not withdrawn
+judgeSchema.methods.activeConflicts = function() {
+    return (this.conflicts || []).filter(c => !c.withdrawn_at);
+};
+
+// Organisation names the judge is tied to (profile organization + declarations)
+judgeSchema.methods.getConflictOrganizations = function() {
+    const names = this.activeConflicts()
+        .filter(c => c.kind === 'organization' && c.organization)
+        .map(c => c.organization);
+    if (this.organization) names.push(this.organization);
+    return [...new Set(names.map(n => n.trim()).filter(Boolean))];
+};
+
 // Reset login attempts
 judgeSchema.methods.resetLoginAttempts = function() {
     this.login_attempts = 0;
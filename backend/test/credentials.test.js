@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const credentials = require('../utils/credentials');
+
+const credential = {
+    credential_id: 'LBA-2026-7K3M9Q2X',
+    business_name: 'Mama & Sons <Liberia> Ltd',
+    category: 'Technology',
+    year: 2026,
+    level: 'winner'
+};
+
+test('verification IDs carry the year and avoid look-alike characters', () => {
+    for (let i = 0; i < 50; i++) {
+        const id = credentials.generateCredentialId(2026);
+        assert.match(id, /^LBA-2026-[A-HJ-NP-Z2-9]{8}$/);
+        assert.ok(credentials.isCredentialId(id));
+    }
+});
+
+test('only well-formed verification IDs are looked up', () => {
+    assert.ok(credentials.isCredentialId('LBA-2026-7K3M9Q2X'));
+    assert.ok(!credentials.isCredentialId('lba-2026-7k3m9q2x'));
+    assert.ok(!credentials.isCredentialId('LBA-2026-7K3M9Q20'));
+    assert.ok(!credentials.isCredentialId('LBA-2026-7K3M9Q2X-extra'));
+    assert.ok(!credentials.isCredentialId(null));
+});
+
+test('the badge names the level, year and verification ID', () => {
+    const svg = credentials.badgeSvg(credential);
+
+    assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+    assert.match(svg, />WINNER</);
+    assert.match(svg, />2026</);
+    assert.match(svg, /Verify LBA-2026-7K3M9Q2X/);
+});
+
+test('business names are escaped in the badge', () => {
+    const svg = credentials.badgeSvg(credential);
+
+    assert.ok(!svg.includes('<Liberia>'));
+    assert.match(svg, /Mama &amp; Sons &lt;Liberia&gt; Ltd/);
+});
+
+test('each level gets its own label', () => {
+    assert.match(credentials.badgeSvg({ ...credential, level: 'nominee' }), />OFFICIAL NOMINEE</);
+    assert.match(credentials.badgeSvg({ ...credential, level: 'finalist' }), />FINALIST</);
+});
+
+test('the PNG badge is rendered at a supported size', async () => {
+    const png = await credentials.badgePng(credential, 120);
+
+    assert.strictEqual(png.subarray(1, 4).toString(), 'PNG');
+    assert.strictEqual(png.readUInt32BE(16), 120);
+    // Unsupported sizes fall back to the default
+    const fallback = await credentials.badgePng(credential, 999);
+    assert.strictEqual(fallback.readUInt32BE(16), 240);
+});
+
+test('the certificate is a PDF that carries the verification ID', async () => {
+    const pdf = await credentials.certificatePdf(credential, {
+        verifyUrl: 'https://liberiabusinessawardslr.com/api/verify/LBA-2026-7K3M9Q2X',
+        issuedAt: new Date('2026-12-20')
+    });
+    const text = pdf.toString('latin1');
+
+    assert.strictEqual(text.slice(0, 5), '%PDF-');
+    assert.ok(text.includes('LBA-2026-7K3M9Q2X'));
+});
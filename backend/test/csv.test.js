@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const csv = require('../utils/csv');
+
+// ============ PARSING ============
+test('parses quoted fields with commas, quotes and line breaks', () => {
+    const rows = csv.parseCsv('name,comment\r\n"Doe, Jane","She said ""great""\nthen left"\r\n');
+
+    assert.deepStrictEqual(rows, [
+        ['name', 'comment'],
+        ['Doe, Jane', 'She said "great"\nthen left']
+    ]);
+});
+
+test('drops a byte order mark and blank lines', () => {
+    assert.deepStrictEqual(csv.parseCsv('\uFEFFa,b\n\n1,2\n,\n'), [['a', 'b'], ['1', '2']]);
+    assert.deepStrictEqual(csv.parseCsv(''), []);
+    assert.deepStrictEqual(csv.parseCsv(null), []);
+});
+
+test('keeps the last row without a trailing newline', () => {
+    assert.deepStrictEqual(csv.parseCsv('a,b\n1,2'), [['a', 'b'], ['1', '2']]);
+});
+
+test('keys records by the trimmed header row', () => {
+    const records = csv.parseCsvRecords(' voter_email ,business_id,vote_value\njane@example.com , 64b0, 8\nsolo@example.com\n');
+
+    assert.deepStrictEqual(records, [
+        { voter_email: 'jane@example.com', business_id: '64b0', vote_value: '8' },
+        { voter_email: 'solo@example.com', business_id: '', vote_value: '' }
+    ]);
+});
+
+// ============ WRITING ============
+test('writes CRLF rows and quotes only the fields that need it', () => {
+    const text = csv.toCsv(['Name', 'Note'], [
+        ['Plain', 'no quoting'],
+        ['Doe, Jane', 'said "hi"'],
+        ['Multi', 'line\nbreak'],
+        [null, undefined]
+    ]);
+
+    assert.strictEqual(text, 'Name,Note\r\nPlain,no quoting\r\n"Doe, Jane","said ""hi"""\r\nMulti,"line\nbreak"\r\n,\r\n');
+});
+
+test('what it writes parses back unchanged', () => {
+    const rows = [['a,b', 'x"y', 'line\r\nbreak', 'plain']];
+    assert.deepStrictEqual(csv.parseCsv(csv.toCsv(['one', 'two', 'three', 'four'], rows)).slice(1), rows);
+});
+
+test('text that a spreadsheet would run as a formula is neutralised', () => {
+    const text = csv.toCsv(['Value'], [['=HYPERLINK("http://evil")'], ['+1'], ['-2+3'], ['@SUM(A1)'], ['\tindent']]);
+
+    assert.deepStrictEqual(text.trim().split('\r\n').slice(1), [
+        '"\'=HYPERLINK(""http://evil"")"',
+        "'+1",
+        "'-2+3",
+        "'@SUM(A1)",
+        "'\tindent"
+    ]);
+});
+
+test('real numbers keep their sign', () => {
+    assert.strictEqual(csv.toCsv(['Amount'], [[-25], [1.5]]), 'Amount\r\n-25\r\n1.5\r\n');
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { isResultsEmbargoed } = require('../utils/embargo');
+
+const NOW = new Date('2026-11-01T12:00:00Z');
+const cycle = publishDate => ({ year: 2026, results_publish_date: publishDate && new Date(publishDate) });
+
+test('without a results package the publish date decides', () => {
+    assert.strictEqual(isResultsEmbargoed(cycle('2026-12-01'), null, NOW), true);
+    assert.strictEqual(isResultsEmbargoed(cycle('2026-10-01'), null, NOW), false);
+    assert.strictEqual(isResultsEmbargoed(cycle(null), null, NOW), false);
+    assert.strictEqual(isResultsEmbargoed(null, null, NOW), false);
+});
+
+test('a draft package opened by an admin does not embargo results on its own', () => {
+    const draft = { status: 'draft' };
+
+    assert.strictEqual(isResultsEmbargoed(cycle('2026-10-01'), draft, NOW), false);
+    assert.strictEqual(isResultsEmbargoed(cycle('2026-12-01'), draft, NOW), true);
+});
+
+test('locked and approved results stay hidden until they are published', () => {
+    ['locked', 'approved'].forEach(status => {
+        assert.strictEqual(isResultsEmbargoed(cycle('2026-10-01'), { status }, NOW), true, status);
+        assert.strictEqual(isResultsEmbargoed(cycle(null), { status }, NOW), true, status);
+    });
+});
+
+test('published results are public, even ahead of the publish date', () => {
+    assert.strictEqual(isResultsEmbargoed(cycle('2026-12-01'), { status: 'published' }, NOW), false);
+    assert.strictEqual(isResultsEmbargoed(cycle('2026-10-01'), { status: 'published' }, NOW), false);
+});
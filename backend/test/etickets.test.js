@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const etickets = require('../utils/etickets');
+
+const SECRET = 'test-ticket-secret';
+
+test('the QR payload carries the ticket number and a short signature', () => {
+    const payload = etickets.ticketPayload('LBA-T-2026-00042', SECRET);
+
+    assert.match(payload, /^LBA1:LBA-T-2026-00042:[A-Za-z0-9_-]{22}$/);
+    assert.strictEqual(etickets.verifyTicketPayload(payload, SECRET), 'LBA-T-2026-00042');
+    // Scanners sometimes add whitespace
+    assert.strictEqual(etickets.verifyTicketPayload(` ${payload}\n`, SECRET), 'LBA-T-2026-00042');
+});
+
+test('a made-up or altered ticket does not verify', () => {
+    const payload = etickets.ticketPayload('LBA-T-2026-00042', SECRET);
+    const signature = payload.split(':')[2];
+
+    assert.strictEqual(etickets.verifyTicketPayload(`LBA1:LBA-T-2026-00043:${signature}`, SECRET), null);
+    assert.strictEqual(etickets.verifyTicketPayload(payload.slice(0, -1), SECRET), null);
+    assert.strictEqual(etickets.verifyTicketPayload(payload, 'another-secret'), null);
+    assert.strictEqual(etickets.verifyTicketPayload(payload.replace('LBA1', 'LBA2'), SECRET), null);
+    assert.strictEqual(etickets.verifyTicketPayload('LBA-T-2026-00042', SECRET), null);
+    assert.strictEqual(etickets.verifyTicketPayload(null, SECRET), null);
+});
+
+test('signatures can be checked on their own', () => {
+    const signature = etickets.ticketSignature('LBA-T-2026-00042', SECRET);
+
+    assert.ok(etickets.verifyTicketSignature('LBA-T-2026-00042', signature, SECRET));
+    assert.ok(!etickets.verifyTicketSignature('LBA-T-2026-00042', signature.toLowerCase(), SECRET));
+    assert.ok(!etickets.verifyTicketSignature('LBA-T-2026-00042', undefined, SECRET));
+});
+
+test('the QR code is a PNG of the requested width', async () => {
+    const png = await etickets.ticketQrPng(etickets.ticketPayload('LBA-T-2026-00042', SECRET), 240);
+
+    assert.strictEqual(png.subarray(1, 4).toString(), 'PNG');
+    assert.strictEqual(png.readUInt32BE(16), 240);
+});
+
+test('the printable ticket is a PDF', async () => {
+    const pdf = await etickets.ticketPdf({
+        ticket_number: 'LBA-T-2026-00042',
+        tier_name: 'VIP',
+        year: 2026,
+        holder_name: 'Jane Doe',
+        holder_email: 'jane@example.com',
+        seat: 'Front, Row A, Seat 3'
+    }, { payload: etickets.ticketPayload('LBA-T-2026-00042', SECRET), event: { venue: 'EJS Ministerial Complex' } });
+
+    assert.strictEqual(pdf.toString('latin1', 0, 5), '%PDF-');
+});
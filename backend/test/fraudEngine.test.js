@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const fraudEngine = require('../utils/fraudEngine');
+
+const START = Date.parse('2026-06-01T10:00:00Z');
+let nextId = 0;
+
+function vote(fields = {}) {
+    nextId++;
+    return {
+        _id: `vote-${nextId}`,
+        voter_email: `voter${nextId}@example.com`,
+        voter_ip: `10.0.${nextId}.1`,
+        business_id: `business-${nextId}`,
+        createdAt: new Date(START),
+        ...fields
+    };
+}
+
+const minutes = n => new Date(START + n * 60 * 1000);
+const rulesOf = (flags, v) => (flags.get(v._id) || []).map(f => f.rule);
+
+test('five votes from one IP inside ten minutes are a burst', () => {
+    const votes = [0, 2, 4, 6, 8].map(m => vote({ voter_ip: '41.57.10.20', createdAt: minutes(m) }));
+
+    const flags = fraudEngine.analyseVotes(votes);
+
+    votes.forEach(v => assert.deepStrictEqual(rulesOf(flags, v), ['ip_burst']));
+    assert.match(flags.get(votes[0]._id)[0].detail, /41\.57\.10\.20/);
+});
+
+test('the same votes spread over a longer window are left alone', () => {
+    const votes = [0, 4, 8, 12, 16].map(m => vote({ voter_ip: '41.57.10.20', createdAt: minutes(m) }));
+    assert.strictEqual(fraudEngine.analyseVotes(votes).size, 0);
+});
+
+test('thresholds can be tightened per scan', () => {
+    const votes = [0, 1].map(m => vote({ voter_ip: '41.57.10.20', createdAt: minutes(m) }));
+    const flags = fraudEngine.analyseVotes(votes, { ipBurst: { count: 2, windowMs: 5 * 60 * 1000 } });
+    assert.strictEqual(flags.size, 2);
+});
+
+test('many addresses in one /24 are a subnet burst', () => {
+    const votes = Array.from({ length: 15 }, (_, i) => vote({ voter_ip: `41.57.10.${i + 1}`, createdAt: minutes(i / 2) }));
+
+    const flags = fraudEngine.analyseVotes(votes);
+
+    votes.forEach(v => assert.deepStrictEqual(rulesOf(flags, v), ['subnet_burst']));
+    assert.strictEqual(fraudEngine.subnetOf('::ffff:41.57.10.9'), '41.57.10.0/24');
+    assert.strictEqual(fraudEngine.subnetOf('2001:db8:1:2:3:4:5:6'), '2001:db8:1:2::/64');
+});
+
+test('an implausible run of votes for one business trips the velocity rule', () => {
+    const votes = Array.from({ length: 30 }, (_, i) => vote({ business_id: 'popular', createdAt: minutes(i / 3) }));
+
+    const flags = fraudEngine.analyseVotes(votes);
+
+    votes.forEach(v => assert.deepStrictEqual(rulesOf(flags, v), ['business_velocity']));
+});
+
+test('disposable mailboxes are flagged, including their subdomains', () => {
+    const throwaway = vote({ voter_email: 'someone@mailinator.com' });
+    const subdomain = vote({ voter_email: 'someone@inbox.yopmail.com' });
+    const normal = vote({ voter_email: 'someone@liberty.com.lr' });
+
+    const flags = fraudEngine.analyseVotes([throwaway, subdomain, normal]);
+
+    assert.deepStrictEqual(rulesOf(flags, throwaway), ['disposable_email']);
+    assert.deepStrictEqual(rulesOf(flags, subdomain), ['disposable_email']);
+    assert.deepStrictEqual(rulesOf(flags, normal), []);
+});
+
+test('dot and plus variations of one Gmail inbox are duplicates', () => {
+    const a = vote({ voter_email: 'jane.doe@gmail.com' });
+    const b = vote({ voter_email: 'janedoe+lba@googlemail.com' });
+    const other = vote({ voter_email: 'john@gmail.com' });
+
+    const flags = fraudEngine.analyseVotes([a, b, other]);
+
+    assert.deepStrictEqual(rulesOf(flags, a), ['gmail_alias']);
+    assert.deepStrictEqual(rulesOf(flags, b), ['gmail_alias']);
+    assert.deepStrictEqual(rulesOf(flags, other), []);
+    assert.strictEqual(fraudEngine.canonicalEmail('Jane.Doe+x@GoogleMail.com'), 'janedoe@gmail.com');
+});
+
+test('the same address voting twice is not a Gmail alias', () => {
+    const flags = fraudEngine.analyseVotes([
+        vote({ voter_email: 'jane@gmail.com' }),
+        vote({ voter_email: 'JANE@gmail.com' })
+    ]);
+    assert.strictEqual(flags.size, 0);
+});
+
+test('a ballot covering many categories counts as one submission', () => {
+    const ballot = ['Technology', 'Hospitality', 'Agriculture', 'Finance', 'Retail', 'Energy']
+        .map(category => vote({ voter_ip: '41.57.10.20', ballot_id: 'ballot-1', category }));
+
+    assert.strictEqual(fraudEngine.analyseVotes(ballot).size, 0);
+});
+
+test('five ballots from one IP are still a burst', () => {
+    const ballots = [0, 1, 2, 3, 4].flatMap(m => ['Technology', 'Finance']
+        .map(category => vote({ voter_ip: '41.57.10.20', ballot_id: `ballot-${m}`, category, createdAt: minutes(m) })));
+
+    const flags = fraudEngine.analyseVotes(ballots);
+
+    assert.strictEqual(flags.size, 10);
+    ballots.forEach(v => assert.deepStrictEqual(rulesOf(flags, v), ['ip_burst']));
+});
+
+test('a business picked in every category of one ballot is not a velocity spike', () => {
+    const ballot = Array.from({ length: 30 }, (_, i) => vote({ business_id: 'popular', ballot_id: 'ballot-1', category: `Category ${i}` }));
+    assert.strictEqual(fraudEngine.analyseVotes(ballot).size, 0);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const juryStats = require('../utils/juryStats');
+
+// One jury vote per judge and nomination: scores[judge] = [nomination 1, 2, ...]
+function juryVotes(scores) {
+    return Object.entries(scores).flatMap(([judge, values]) => values.map((value, i) => ({
+        _id: `${judge}-${i + 1}`,
+        voter_email: `${judge}@jury.lr`,
+        nomination_id: `nomination-${i + 1}`,
+        vote_value: value,
+        is_jury: true
+    })));
+}
+
+const average = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+test('no normalisation leaves the raw scores in use', () => {
+    assert.strictEqual(juryStats.normaliseJuryScores(juryVotes({ a: [5, 6] }), 'none'), null);
+    assert.strictEqual(juryStats.normaliseJuryScores(juryVotes({ a: [5, 6] })), null);
+    assert.throws(() => juryStats.normaliseJuryScores([], 'median'), /Unknown normalisation mode/);
+});
+
+test('z-scores put a harsh and a lenient judge on the same footing', () => {
+    const votes = juryVotes({ harsh: [2, 3, 4], lenient: [7, 8, 9] });
+
+    const values = juryStats.normaliseJuryScores(votes, 'zscore');
+
+    // Both judges ranked the nominations the same way, so they now agree
+    [1, 2, 3].forEach(n => assert.strictEqual(values.get(`harsh-${n}`), values.get(`lenient-${n}`)));
+    // ...around the panel-wide mean
+    assert.strictEqual(Math.round(average([...values.values()]) * 1000) / 1000, 5.5);
+});
+
+test('a judge who gives every nomination the same score sits on the panel mean', () => {
+    const values = juryStats.normaliseJuryScores(juryVotes({ flat: [6, 6, 6], other: [2, 5, 8] }), 'zscore');
+    assert.deepStrictEqual([1, 2, 3].map(n => values.get(`flat-${n}`)), [5.5, 5.5, 5.5]);
+});
+
+test('z-scores stay on the 1-10 vote scale', () => {
+    const values = juryStats.normaliseJuryScores(juryVotes({ a: [1, 1, 1, 10], b: [1, 10, 10, 10] }), 'zscore');
+    values.forEach(value => assert.ok(value >= 1 && value <= 10, `${value} is off the scale`));
+});
+
+test('rank normalisation spreads each judge over the whole scale, ties shared', () => {
+    const values = juryStats.normaliseJuryScores(juryVotes({ a: [3, 4, 4, 9] }), 'rank');
+
+    assert.strictEqual(values.get('a-1'), 1);
+    assert.strictEqual(values.get('a-2'), 5.5);
+    assert.strictEqual(values.get('a-3'), 5.5);
+    assert.strictEqual(values.get('a-4'), 10);
+});
+
+test('public votes are never normalised', () => {
+    const votes = [...juryVotes({ a: [4, 8] }), { _id: 'public-1', voter_email: 'fan@example.com', vote_value: 9, is_jury: false }];
+    assert.strictEqual(juryStats.normaliseJuryScores(votes, 'rank').has('public-1'), false);
+});
+
+test('flags lenient, harsh and flat judges against the rest of the panel', () => {
+    const stats = juryStats.judgeStatistics(juryVotes({
+        fair1: [4, 6, 8],
+        fair2: [4, 6, 8],
+        lenient: [8, 9, 10],
+        harsh: [1, 2, 3],
+        flat: [6, 6, 6]
+    }));
+    const flagsOf = judge => stats.find(s => s.judge_email === `${judge}@jury.lr`).flags.map(f => f.rule);
+
+    assert.deepStrictEqual(flagsOf('lenient'), ['lenient']);
+    assert.deepStrictEqual(flagsOf('harsh'), ['harsh']);
+    assert.deepStrictEqual(flagsOf('flat'), ['flat']);
+    assert.deepStrictEqual(flagsOf('fair1'), []);
+    // Flagged judges are listed first
+    assert.ok(stats[0].flags.length > 0);
+});
+
+test('a judge who ranks the nominations the other way round disagrees', () => {
+    const stats = juryStats.judgeStatistics(juryVotes({ a: [3, 5, 7, 9], b: [3, 5, 7, 9], contrary: [9, 7, 5, 3] }));
+    const contrary = stats.find(s => s.judge_email === 'contrary@jury.lr');
+
+    assert.deepStrictEqual(contrary.flags.map(f => f.rule), ['disagreement']);
+    assert.strictEqual(contrary.agreement, -1);
+    assert.strictEqual(contrary.bias, 0);
+});
+
+test('judges with too few scores are not flagged', () => {
+    const stats = juryStats.judgeStatistics(juryVotes({ a: [5, 6], b: [9, 10] }));
+    stats.forEach(s => assert.deepStrictEqual(s.flags, []));
+});
@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const payments = require('../utils/payments');
+
+const PAYMENT_ENV = [
+    'PAYMENTS_MOCK_ENABLED', 'PAYMENTS_MOCK_SECRET', 'NODE_ENV',
+    'BANK_TRANSFER_ENABLED', 'BANK_TRANSFER_BANK_NAME', 'BANK_TRANSFER_ACCOUNT_NAME', 'BANK_TRANSFER_ACCOUNT_NUMBER',
+    'STRIPE_SECRET_KEY', 'STRIPE_WEBHOOK_SECRET',
+    'MOMO_SUBSCRIPTION_KEY', 'MOMO_API_USER', 'MOMO_API_KEY',
+    'ORANGE_MONEY_CLIENT_ID', 'ORANGE_MONEY_CLIENT_SECRET', 'ORANGE_MONEY_MERCHANT_KEY'
+];
+
+// Run fn with only the given payment settings in the environment
+async function withEnv(settings, fn) {
+    const saved = Object.fromEntries(PAYMENT_ENV.map(key => [key, process.env[key]]));
+    PAYMENT_ENV.forEach(key => delete process.env[key]);
+    Object.assign(process.env, settings);
+    try {
+        return await fn();
+    } finally {
+        PAYMENT_ENV.forEach(key => {
+            if (saved[key] === undefined) delete process.env[key];
+            else process.env[key] = saved[key];
+        });
+    }
+}
+
+const MOCK_ON = { PAYMENTS_MOCK_ENABLED: 'true', PAYMENTS_MOCK_SECRET: 'test-secret' };
+
+const payment = { reference: 'PAY-ABC123', amount: 150, currency: 'USD' };
+
+// ============ PROVIDER AVAILABILITY ============
+test('the mock provider stays off unless explicitly enabled, whatever NODE_ENV says', async () => {
+    await withEnv({}, () => {
+        assert.strictEqual(payments.getProvider('mock').enabled(), false);
+        assert.strictEqual(payments.selectProvider('card', 'mock'), null);
+    });
+    await withEnv({ NODE_ENV: 'development', PAYMENTS_MOCK_SECRET: 'test-secret' }, () => {
+        assert.strictEqual(payments.getProvider('mock').enabled(), false);
+    });
+});
+
+test('the mock provider needs its own secret', async () => {
+    await withEnv({ PAYMENTS_MOCK_ENABLED: 'true' }, () => {
+        assert.strictEqual(payments.getProvider('mock').enabled(), false);
+        assert.throws(() => payments.mockWebhook(payment, 'succeeded'), payments.PaymentError);
+    });
+    await withEnv(MOCK_ON, () => {
+        assert.strictEqual(payments.selectProvider('card', 'mock').name, 'mock');
+    });
+});
+
+test('bank transfers are only offered with real account details', async () => {
+    await withEnv({}, () => {
+        assert.strictEqual(payments.getProvider('bank_transfer').enabled(), false);
+        assert.strictEqual(payments.selectProvider('bank'), null);
+    });
+    await withEnv({
+        BANK_TRANSFER_BANK_NAME: 'Test Bank',
+        BANK_TRANSFER_ACCOUNT_NAME: 'Liberia Business Awards',
+        BANK_TRANSFER_ACCOUNT_NUMBER: '000111222'
+    }, async () => {
+        const adapter = payments.selectProvider('bank');
+        assert.strictEqual(adapter.name, 'bank_transfer');
+
+        const charge = await adapter.createCharge({ reference: 'PAY-1', amount: 10, currency: 'USD' });
+        assert.strictEqual(charge.next_action.instructions.account_number, '000111222');
+    });
+});
+
+// ============ PAYMENT RESULTS ============
+test('a signed mock callback reports the payment as paid', async () => {
+    await withEnv(MOCK_ON, async () => {
+        const request = payments.mockWebhook(payment, 'succeeded');
+        const result = await payments.getProvider('mock').parseWebhook(request, {
+            findPayment: async ({ reference }) => (reference === payment.reference ? payment : null)
+        });
+
+        assert.strictEqual(result.payment, payment);
+        assert.strictEqual(result.status, 'succeeded');
+        assert.strictEqual(result.amount, 150);
+        assert.strictEqual(payments.paymentMismatch(payment, result), null);
+    });
+});
+
+test('a tampered mock callback is rejected', async () => {
+    await withEnv(MOCK_ON, async () => {
+        const request = payments.mockWebhook(payment, 'succeeded');
+        request.rawBody = Buffer.from(request.rawBody.toString('utf8').replace('150', '1'));
+
+        await assert.rejects(
+            payments.getProvider('mock').parseWebhook(request, { findPayment: async () => payment }),
+            error => error instanceof payments.PaymentError && error.status === 401
+        );
+    });
+});
+
+test('a success for the wrong amount or currency is held back', () => {
+    assert.match(payments.paymentMismatch(payment, { amount: 15, currency: 'USD' }), /expected USD 150/);
+    assert.match(payments.paymentMismatch(payment, { amount: 150, currency: 'LRD' }), /LRD 150/);
+    assert.strictEqual(payments.paymentMismatch(payment, { amount: 150.001, currency: 'usd' }), null);
+    // Providers that don't report an amount are trusted on the reference alone
+    assert.strictEqual(payments.paymentMismatch(payment, { amount: null, currency: null }), null);
+});
+
+// ============ HOLD EXPIRY ============
+const HOLD = { holdMs: 15 * 60 * 1000, marginMs: 60 * 1000, now: Date.parse('2026-10-01T12:00:00Z') };
+const minutesFromNow = minutes => new Date(HOLD.now + minutes * 60 * 1000);
+
+test('a mobile money checkout gets the normal hold', () => {
+    const hold = payments.checkoutHold(payments.getProvider('mtn_momo'), HOLD);
+    assert.deepStrictEqual(hold.extendTo, minutesFromNow(15));
+    assert.strictEqual(hold.fits(minutesFromNow(2)), true);
+});
+
+test('a card checkout holds the seats for as long as Stripe keeps the session open', () => {
+    const hold = payments.checkoutHold(payments.getProvider('stripe'), HOLD);
+    assert.deepStrictEqual(hold.extendTo, minutesFromNow(31));
+    assert.strictEqual(hold.fits(minutesFromNow(31)), true);
+    assert.strictEqual(hold.fits(minutesFromNow(20)), false);
+});
+
+test('an expired hold fits no checkout', () => {
+    assert.strictEqual(payments.checkoutHold(payments.getProvider('stripe'), HOLD).fits(minutesFromNow(-1)), false);
+    assert.strictEqual(payments.checkoutHold(payments.getProvider('stripe'), HOLD).fits(null), false);
+});
+
+test('the Stripe session closes when the hold does', async (t) => {
+    let sent = null;
+    t.mock.method(global, 'fetch', async (url, options) => {
+        sent = new URLSearchParams(options.body);
+        return new Response(JSON.stringify({ id: 'cs_test_1', url: 'https://checkout.stripe.com/c/cs_test_1' }), { status: 200 });
+    });
+
+    await withEnv({ STRIPE_SECRET_KEY: 'sk_test', STRIPE_WEBHOOK_SECRET: 'whsec_test' }, async () => {
+        const expiresAt = minutesFromNow(31);
+        const charge = await payments.getProvider('stripe').createCharge({
+            reference: 'PAY-XYZ',
+            amount: 150,
+            currency: 'USD',
+            description: 'Gala tickets',
+            customer: { email: 'buyer@example.com' },
+            urls: { return: 'https://example.com/back', cancel: 'https://example.com/back?cancelled=1' },
+            expiresAt
+        });
+
+        assert.strictEqual(charge.provider_reference, 'cs_test_1');
+        assert.strictEqual(sent.get('expires_at'), String(expiresAt.getTime() / 1000));
+        assert.strictEqual(sent.get('line_items[0][price_data][unit_amount]'), '15000');
+    });
+});
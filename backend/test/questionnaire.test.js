@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const questionnaire = require('../utils/questionnaire');
+
+const SCHEMA = [
+    { label: 'Revenue range', type: 'select', options: 'Under $50k, $50k-$250k, Over $250k', required: true },
+    { label: 'Employee count', type: 'number', min: 1, max: 10000, required: true },
+    { label: 'Years operating', type: 'number', min: 0 },
+    { label: 'Sustainability practices', type: 'multiselect', options: ['Recycling', 'Solar power', 'Local sourcing'] },
+    { label: 'Story', type: 'textarea', max_length: 20 },
+    { label: 'Women-led', type: 'boolean' },
+    { label: 'Registration certificate', type: 'document', document_types: ['registration'], required: true }
+];
+
+const DOCUMENT_TYPES = ['registration', 'tax', 'financial'];
+
+function questions() {
+    const result = questionnaire.normaliseQuestions(SCHEMA, { documentTypes: DOCUMENT_TYPES });
+    assert.ok(result.questions, result.error);
+    return result.questions;
+}
+
+const documents = new Map([
+    ['doc-registration', { type: 'registration' }],
+    ['doc-tax', { type: 'tax' }]
+]);
+
+const complete = {
+    revenue_range: '$50k-$250k',
+    employee_count: '12',
+    sustainability_practices: 'Recycling, Solar power',
+    women_led: 'yes',
+    registration_certificate: ['doc-registration']
+};
+
+// ============ SCHEMA ============
+test('cleans up the admin schema', () => {
+    const [revenue, employees, , , story, , certificate] = questions();
+
+    assert.strictEqual(revenue.key, 'revenue_range');
+    assert.deepStrictEqual(revenue.options, ['Under $50k', '$50k-$250k', 'Over $250k']);
+    assert.strictEqual(revenue.required, true);
+    assert.strictEqual(employees.min, 1);
+    assert.strictEqual(story.max_length, 20);
+    assert.deepStrictEqual(certificate.document_types, ['registration']);
+});
+
+test('rejects a schema it cannot validate against', () => {
+    const error = input => questionnaire.normaliseQuestions(input, { documentTypes: DOCUMENT_TYPES }).error;
+
+    assert.match(error([]), /at least one question/);
+    assert.match(error([{ type: 'text' }]), /needs a label/);
+    assert.match(error([{ label: 'Size', type: 'text' }, { label: 'size', type: 'number' }]), /Duplicate question/);
+    assert.match(error([{ label: 'Size', type: 'slider' }]), /type must be one of/);
+    assert.match(error([{ label: 'Sector', type: 'select', options: ['Only one'] }]), /at least two options/);
+    assert.match(error([{ label: 'Staff', type: 'number', min: 10, max: 5 }]), /minimum must not be above/);
+    assert.match(error([{ label: 'Staff', type: 'number', min: 'lots' }]), /must be numbers/);
+    assert.match(error([{ label: 'Proof', type: 'document', document_types: ['passport'] }]), /unknown document type passport/);
+});
+
+// ============ ANSWERS ============
+test('accepts a complete set of answers and stores them with their labels', () => {
+    const { answers, errors } = questionnaire.validateAnswers(questions(), complete, { documents, complete: true });
+
+    assert.strictEqual(errors, undefined);
+    assert.deepStrictEqual(answers.map(a => [a.key, a.value]), [
+        ['revenue_range', '$50k-$250k'],
+        ['employee_count', 12],
+        ['sustainability_practices', ['Recycling', 'Solar power']],
+        ['women_led', true],
+        ['registration_certificate', ['doc-registration']]
+    ]);
+    assert.strictEqual(answers[0].label, 'Revenue range');
+});
+
+test('drafts may leave required questions blank, submissions may not', () => {
+    const partial = { employee_count: 4 };
+
+    assert.ok(questionnaire.validateAnswers(questions(), partial, { documents }).answers);
+
+    const { errors } = questionnaire.validateAnswers(questions(), partial, { documents, complete: true });
+    assert.deepStrictEqual(errors, ['Revenue range is required', 'Registration certificate is required']);
+});
+
+test('checks each answer against its question type', () => {
+    const errorsFor = answers => questionnaire.validateAnswers(questions(), answers, { documents }).errors;
+
+    assert.deepStrictEqual(errorsFor({ revenue_range: 'Millions' }), ['Revenue range must be one of: Under $50k, $50k-$250k, Over $250k']);
+    assert.deepStrictEqual(errorsFor({ employee_count: 'a few' }), ['Employee count must be a number']);
+    assert.deepStrictEqual(errorsFor({ employee_count: 0 }), ['Employee count must be at least 1']);
+    assert.deepStrictEqual(errorsFor({ employee_count: 20000 }), ['Employee count must be at most 10000']);
+    assert.deepStrictEqual(errorsFor({ sustainability_practices: ['Recycling', 'Planting'] }), ['Sustainability practices: Planting is not an option']);
+    assert.deepStrictEqual(errorsFor({ story: 'x'.repeat(21) }), ['Story must be at most 20 characters']);
+    assert.deepStrictEqual(errorsFor({ women_led: 'maybe' }), ['Women-led must be yes or no']);
+    assert.deepStrictEqual(errorsFor({ unknown_question: 1 }), ['Unknown question: unknown_question']);
+});
+
+test('document answers must be the business\'s own uploads of an allowed type', () => {
+    const errorsFor = ids => questionnaire.validateAnswers(questions(), { registration_certificate: ids }, { documents }).errors;
+
+    assert.deepStrictEqual(errorsFor(['doc-elsewhere']), ['Registration certificate: document not found in your uploads']);
+    assert.deepStrictEqual(errorsFor(['doc-tax']), ['Registration certificate accepts registration documents only']);
+    assert.strictEqual(errorsFor(['doc-registration']), undefined);
+});
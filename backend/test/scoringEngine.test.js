@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const scoringEngine = require('../utils/scoringEngine');
+
+const vote = (value, isJury = false, id = undefined) => ({ _id: id, vote_value: value, is_jury: isJury });
+
+test('blends public and jury averages with the jury weight', () => {
+    const breakdown = scoringEngine.computeBreakdown([vote(10), vote(6), vote(8, true)], 70);
+
+    assert.strictEqual(breakdown.public_votes, 2);
+    assert.strictEqual(breakdown.jury_votes, 1);
+    assert.strictEqual(breakdown.public_average, 8);
+    assert.strictEqual(breakdown.jury_average, 8);
+    assert.strictEqual(breakdown.final_score, 8);
+});
+
+test('a side with no votes contributes nothing', () => {
+    const breakdown = scoringEngine.computeBreakdown([vote(10), vote(10)], 70);
+    assert.strictEqual(breakdown.final_score, 3);
+});
+
+test('normalised jury values replace raw jury scores but keep the raw average', () => {
+    const votes = [vote(9, true, 'a'), vote(5, true, 'b'), vote(7)];
+    const breakdown = scoringEngine.computeCycleBreakdown(votes, 50, new Map([['a', 6], ['b', 6]]));
+
+    assert.strictEqual(breakdown.jury_average, 6);
+    assert.strictEqual(breakdown.jury_raw_average, 7);
+    assert.strictEqual(breakdown.final_score, 6.5);
+});
+
+test('without normalisation the cycle breakdown is the plain breakdown', () => {
+    const votes = [vote(9, true), vote(7)];
+    const plain = scoringEngine.computeBreakdown(votes, 70);
+    const cycle = scoringEngine.computeCycleBreakdown(votes, 70, null);
+    assert.strictEqual(cycle.final_score, plain.final_score);
+    assert.strictEqual(cycle.jury_raw_average, undefined);
+});
+
+const total = (name, fields) => ({
+    name,
+    average_score: 5,
+    jury_average: 5,
+    total_votes: 10,
+    submitted_at: new Date('2026-01-01'),
+    ...fields
+});
+
+test('ranks totals by score, best first', () => {
+    const ranked = scoringEngine.rankVoteTotals([
+        total('low', { average_score: 4 }),
+        total('high', { average_score: 9 }),
+        total('mid', { average_score: 6 })
+    ]);
+
+    assert.deepStrictEqual(ranked.map(r => [r.total.name, r.rank, r.tied]), [
+        ['high', 1, false],
+        ['mid', 2, false],
+        ['low', 3, false]
+    ]);
+});
+
+test('equal scores are split by the first tie-breaker that differs', () => {
+    const ranked = scoringEngine.rankVoteTotals([
+        total('fewer votes', { total_votes: 8 }),
+        total('more votes', { total_votes: 12 })
+    ], ['jury_average', 'vote_count']);
+
+    assert.deepStrictEqual(ranked.map(r => [r.total.name, r.rank, r.tied, r.tie_breaker]), [
+        ['more votes', 1, true, 'vote_count'],
+        ['fewer votes', 2, true, 'vote_count']
+    ]);
+});
+
+test('totals still level after every tie-breaker share a rank', () => {
+    const ranked = scoringEngine.rankVoteTotals([
+        total('first', { average_score: 8 }),
+        total('level a'),
+        total('level b'),
+        total('last', { average_score: 2 })
+    ]);
+
+    assert.deepStrictEqual(ranked.map(r => r.rank), [1, 2, 2, 4]);
+    assert.deepStrictEqual(ranked.map(r => r.tied), [false, true, true, false]);
+});
+
+test('earliest submission wins when everything else is level', () => {
+    const ranked = scoringEngine.rankVoteTotals([
+        total('late', { submitted_at: new Date('2026-03-01') }),
+        total('unknown', { submitted_at: null }),
+        total('early', { submitted_at: new Date('2026-02-01') })
+    ], ['earliest_submission']);
+
+    assert.deepStrictEqual(ranked.map(r => r.total.name), ['early', 'late', 'unknown']);
+    assert.deepStrictEqual(ranked.map(r => r.rank), [1, 2, 3]);
+});
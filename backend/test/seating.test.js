@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const seating = require('../utils/seating');
+
+function layout(input) {
+    const result = seating.normaliseLayout(input, { tierCodes: ['vip', 'regular', 'table'] });
+    assert.ok(result.sections, result.error);
+    return result.sections;
+}
+
+const hall = () => layout([
+    { name: 'Front', kind: 'rows', tier_code: 'vip', rows: [{ label: 'a', seats: 6 }, { label: 'b', seats: 6 }] }
+]);
+
+const tables = () => layout([
+    { name: 'Sponsor Tables', kind: 'tables', tier_code: 'table', rows: [{ label: '1', seats: 10 }, { label: '2', seats: 10 }] }
+]);
+
+// Mark seats as taken: ['front|A|1', ...] or (section, row, from, to)
+function taken(...keys) {
+    return new Set(keys);
+}
+
+function takeRange(set, code, row, from, to) {
+    for (let n = from; n <= to; n++) set.add(seating.seatKey(code, row, n));
+    return set;
+}
+
+const where = seats => seats.map(s => `${s.row}${s.number}`);
+
+// ============ LAYOUT ============
+test('cleans up the admin layout', () => {
+    const [front] = hall();
+
+    assert.strictEqual(front.code, 'front');
+    assert.deepStrictEqual(front.rows, [{ label: 'A', seats: 6 }, { label: 'B', seats: 6 }]);
+    assert.strictEqual(seating.sectionSeatCount(front), 12);
+    assert.ok(seating.seatExists([front], 'front', 'B', 6));
+    assert.ok(!seating.seatExists([front], 'front', 'B', 7));
+});
+
+test('rejects layouts that cannot be sold', () => {
+    const error = input => seating.normaliseLayout(input, { tierCodes: ['vip'] }).error;
+    const section = fields => ({ name: 'Front', kind: 'rows', tier_code: 'vip', rows: [{ label: 'A', seats: 4 }], ...fields });
+
+    assert.match(error([]), /at least one section/);
+    assert.match(error([section({ kind: 'booths' })]), /kind must be one of/);
+    assert.match(error([section({ tier_code: 'gold' })]), /unknown ticket tier gold/);
+    assert.match(error([section(), section()]), /Duplicate section/);
+    assert.match(error([section({ rows: [{ label: 'A', seats: 4 }, { label: 'a', seats: 2 }] })]), /duplicate row A/);
+    assert.match(error([section({ rows: [{ label: 'A', seats: 0 }] })]), /seats must be a whole number/);
+});
+
+// ============ ALLOCATION ============
+test('an order sits together in the front-most row with room', () => {
+    const sections = hall();
+    const { seats } = seating.allocateSeats(sections, takeRange(taken(), 'front', 'A', 1, 4), 3);
+
+    assert.deepStrictEqual(where(seats), ['B1', 'B2', 'B3']);
+    assert.strictEqual(seats[0].label, 'Front, Row B, Seat 1');
+});
+
+test('the smallest gap that fits is used so bigger gaps stay open', () => {
+    const sections = layout([
+        { name: 'Front', kind: 'rows', tier_code: 'vip', rows: [{ label: 'A', seats: 10 }] }
+    ]);
+    // Free: 1-2 and 6-10
+    const used = takeRange(taken(), 'front', 'A', 3, 5);
+
+    assert.deepStrictEqual(where(seating.allocateSeats(sections, used, 2).seats), ['A1', 'A2']);
+    assert.deepStrictEqual(where(seating.allocateSeats(sections, used, 4).seats), ['A6', 'A7', 'A8', 'A9']);
+});
+
+test('a party too big for any row is split rather than refused', () => {
+    const sections = hall();
+    const used = takeRange(takeRange(taken(), 'front', 'A', 1, 3), 'front', 'B', 1, 3);
+
+    assert.deepStrictEqual(where(seating.allocateSeats(sections, used, 5).seats), ['A4', 'A5', 'A6', 'B4', 'B5']);
+    assert.match(seating.allocateSeats(sections, used, 7).error, /Not enough free seats for 7/);
+});
+
+test('a Table Sponsor order of the minimum four stays at one table', () => {
+    const sections = tables();
+    const used = taken();
+
+    const first = seating.allocateSeats(sections, used, 4).seats;
+    assert.deepStrictEqual(where(first), ['11', '12', '13', '14']);
+    first.forEach(s => used.add(seating.seatKey(s.section_code, s.row, s.number)));
+    assert.strictEqual(first[0].label, 'Sponsor Tables, Table 1, Seat 1');
+
+    // Table 1 has 6 left, so a second party of four joins it...
+    const second = seating.allocateSeats(sections, used, 4).seats;
+    assert.deepStrictEqual(where(second), ['15', '16', '17', '18']);
+    second.forEach(s => used.add(seating.seatKey(s.section_code, s.row, s.number)));
+
+    // ...but the third moves to table 2 rather than splitting over two tables
+    assert.deepStrictEqual(where(seating.allocateSeats(sections, used, 4).seats), ['21', '22', '23', '24']);
+});
+
+test('a full-table order gets an empty table', () => {
+    const sections = tables();
+    const used = takeRange(taken(), 'sponsor-tables', '1', 1, 4);
+
+    const { seats } = seating.allocateSeats(sections, used, 10);
+    assert.ok(seats.every(s => s.row === '2'));
+});
+
+test('a split party fills as few tables as possible', () => {
+    const sections = layout([
+        { name: 'Tables', kind: 'tables', tier_code: 'table', rows: [{ label: '1', seats: 4 }, { label: '2', seats: 4 }, { label: '3', seats: 4 }] }
+    ]);
+    const used = takeRange(takeRange(taken(), 'tables', '1', 1, 2), 'tables', '3', 1, 3);
+
+    // Table 2 is empty (4 free), table 1 has 2 free and table 3 has 1
+    assert.deepStrictEqual(where(seating.allocateSeats(sections, used, 6).seats), ['21', '22', '23', '24', '13', '14']);
+});
+
+test('a tier without seating sections cannot be allocated', () => {
+    assert.match(seating.allocateSeats([], taken(), 2).error, /No seating sections/);
+});
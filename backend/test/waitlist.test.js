@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { promoteWaitlist } = require('../utils/waitlist');
+
+// In-memory stand-in for the Event / EventRegistration collections
+function memoryStore({ capacity, attendees, waiting }) {
+    const event = { _id: 'event-1', title: 'Workshop', max_attendees: capacity, attendees, waitlisted: waiting.length };
+    const registrations = waiting.map(([id, minute]) => ({
+        _id: id,
+        status: 'waitlisted',
+        waitlisted_at: new Date(2026, 0, 1, 9, minute)
+    }));
+
+    return {
+        event,
+        registrations,
+        async nextWaitlisted() {
+            const queue = registrations.filter(r => r.status === 'waitlisted');
+            queue.sort((a, b) => a.waitlisted_at - b.waitlisted_at);
+            return queue[0] || null;
+        },
+        async claimPlace() {
+            if (event.max_attendees > 0 && event.attendees >= event.max_attendees) return null;
+            event.attendees++;
+            return event;
+        },
+        async promote(registration) {
+            if (registration.status !== 'waitlisted') return null;
+            registration.status = 'registered';
+            return registration;
+        },
+        async releasePlace() {
+            event.attendees--;
+        },
+        async leaveWaitlist() {
+            event.waitlisted--;
+        }
+    };
+}
+
+test('fills free places in the order businesses joined the waitlist', async () => {
+    const store = memoryStore({ capacity: 5, attendees: 3, waiting: [['late', 30], ['early', 10], ['middle', 20]] });
+
+    const promoted = await promoteWaitlist(store, 'event-1');
+
+    assert.deepStrictEqual(promoted.map(r => r._id), ['early', 'middle']);
+    assert.strictEqual(store.event.attendees, 5);
+    assert.strictEqual(store.event.waitlisted, 1);
+    assert.strictEqual(store.registrations.find(r => r._id === 'late').status, 'waitlisted');
+});
+
+test('promotes nobody while the event is full', async () => {
+    const store = memoryStore({ capacity: 2, attendees: 2, waiting: [['a', 1]] });
+
+    assert.deepStrictEqual(await promoteWaitlist(store, 'event-1'), []);
+    assert.strictEqual(store.event.waitlisted, 1);
+});
+
+test('an event without a limit takes the whole waitlist', async () => {
+    const store = memoryStore({ capacity: 0, attendees: 40, waiting: [['a', 1], ['b', 2], ['c', 3]] });
+
+    const promoted = await promoteWaitlist(store, 'event-1');
+
+    assert.strictEqual(promoted.length, 3);
+    assert.strictEqual(store.event.attendees, 43);
+    assert.strictEqual(store.event.waitlisted, 0);
+});
+
+test('a place claimed for someone who just left goes to the next in line', async () => {
+    const store = memoryStore({ capacity: 1, attendees: 0, waiting: [['gone', 1], ['next', 2]] });
+    const promote = store.promote;
+    store.promote = async registration => {
+        if (registration._id === 'gone') {
+            // Cancelled between being picked and being promoted
+            registration.status = 'cancelled';
+            store.event.waitlisted--;
+            return null;
+        }
+        return promote(registration);
+    };
+
+    const promoted = await promoteWaitlist(store, 'event-1');
+
+    assert.deepStrictEqual(promoted.map(r => r._id), ['next']);
+    assert.strictEqual(store.event.attendees, 1);
+    assert.strictEqual(store.event.waitlisted, 0);
+});
+
+test('reports each promotion with the event', async () => {
+    const store = memoryStore({ capacity: 3, attendees: 1, waiting: [['a', 1], ['b', 2]] });
+    const notices = [];
+
+    await promoteWaitlist(store, 'event-1', (registration, event) => notices.push(`${registration._id}:${event.title}`));
+
+    assert.deepStrictEqual(notices, ['a:Workshop', 'b:Workshop']);
+});
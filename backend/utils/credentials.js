@@ -0,0 +1,160 @@
+// ============================================
+// AWARD CREDENTIALS
+// ============================================
+// Badges and certificates for nominees, finalists and winners. Each one
+// carries a verification ID that anyone can check at /api/verify/:credentialId,
+// which is what lets a business embed the badge on its own site.
+//   badge       - SVG, or PNG rendered from the same SVG
+//   certificate - single-page A4 landscape PDF
+
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const sharp = require('sharp');
+
+const CREDENTIAL_LEVELS = {
+    nominee: 'Official Nominee',
+    finalist: 'Finalist',
+    winner: 'Winner'
+};
+
+const LEVEL_COLOURS = {
+    nominee: '#87CEEB',
+    finalist: '#A8A9AD',
+    winner: '#D4AF37'
+};
+
+const BRAND_RED = '#FF0000';
+const BRAND_BLUE = '#87CEEB';
+
+const ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O, 1/I
+const ID_LENGTH = 8;
+
+const BADGE_SIZE = 240;
+const PNG_SIZES = [120, 240, 480];
+
+// e.g. LBA-2026-7K3M9Q2X
+function generateCredentialId(year) {
+    let suffix = '';
+    for (let i = 0; i < ID_LENGTH; i++) {
+        suffix += ID_ALPHABET[crypto.randomInt(ID_ALPHABET.length)];
+    }
+    return `LBA-${year}-${suffix}`;
+}
+
+function isCredentialId(value) {
+    return new RegExp(`^LBA-\\d{4}-[${ID_ALPHABET}]{${ID_LENGTH}}$`).test(String(value || ''));
+}
+
+function escapeXml(text) {
+    return String(text || '').replace(/[&<>"']/g, c => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+    })[c]);
+}
+
+function truncate(text, length) {
+    const value = String(text || '');
+    return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+// credential: { credential_id, business_name, category, year, level }
+function badgeSvg(credential) {
+    const colour = LEVEL_COLOURS[credential.level] || BRAND_BLUE;
+    const label = (CREDENTIAL_LEVELS[credential.level] || credential.level).toUpperCase();
+    const c = BADGE_SIZE / 2;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${BADGE_SIZE}" height="${BADGE_SIZE}" viewBox="0 0 ${BADGE_SIZE} ${BADGE_SIZE}" role="img" aria-label="${escapeXml(`${label} ${credential.year} - ${credential.business_name}`)}">
+    <defs>
+        <linearGradient id="lba-ring" x1="0" y1="0" x2="1" y2="1">
+            <stop offset="0%" stop-color="${BRAND_RED}"/>
+            <stop offset="100%" stop-color="${BRAND_BLUE}"/>
+        </linearGradient>
+    </defs>
+    <circle cx="${c}" cy="${c}" r="${c - 4}" fill="url(#lba-ring)"/>
+    <circle cx="${c}" cy="${c}" r="${c - 16}" fill="#ffffff"/>
+    <circle cx="${c}" cy="${c}" r="${c - 22}" fill="none" stroke="${colour}" stroke-width="3"/>
+    <g font-family="Helvetica, Arial, sans-serif" text-anchor="middle" fill="#1a202c">
+        <text x="${c}" y="62" font-size="11" font-weight="700" letter-spacing="1">LIBERIA BUSINESS AWARDS</text>
+        <text x="${c}" y="98" font-size="${label.length > 10 ? 17 : 24}" font-weight="700" fill="${colour === BRAND_BLUE ? '#1f7fa8' : colour}">${escapeXml(label)}</text>
+        <text x="${c}" y="128" font-size="30" font-weight="700" fill="${BRAND_RED}">${escapeXml(credential.year)}</text>
+        <text x="${c}" y="150" font-size="11">${escapeXml(truncate(credential.category, 26))}</text>
+        <text x="${c}" y="168" font-size="10" font-weight="700">${escapeXml(truncate(credential.business_name, 28))}</text>
+        <text x="${c}" y="192" font-size="8" fill="#718096">Verify ${escapeXml(credential.credential_id)}</text>
+    </g>
+</svg>`;
+}
+
+async function badgePng(credential, size = BADGE_SIZE) {
+    const width = PNG_SIZES.includes(Number(size)) ? Number(size) : BADGE_SIZE;
+    return sharp(Buffer.from(badgeSvg(credential)), { density: 72 * (width / BADGE_SIZE) * 2 })
+        .resize(width, width)
+        .png()
+        .toBuffer();
+}
+
+// Returns a Buffer. verifyUrl is printed so a paper copy can be checked too.
+function certificatePdf(credential, { verifyUrl, issuedAt = new Date() } = {}) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 0, info: {
+            Title: `${CREDENTIAL_LEVELS[credential.level]} - ${credential.business_name}`,
+            Author: 'Liberia Business Awards',
+            Subject: `Certificate ${credential.credential_id}`
+        } });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const { width, height } = doc.page;
+        const colour = LEVEL_COLOURS[credential.level] || BRAND_BLUE;
+
+        // Frame
+        doc.rect(20, 20, width - 40, height - 40).lineWidth(6).stroke(BRAND_RED);
+        doc.rect(34, 34, width - 68, height - 68).lineWidth(2).stroke(BRAND_BLUE);
+        doc.rect(42, 42, width - 84, height - 84).lineWidth(0.75).stroke(colour);
+
+        const centred = { align: 'center', width: width - 160 };
+        doc.fillColor('#1a202c');
+
+        doc.font('Helvetica-Bold').fontSize(14).fillColor(BRAND_RED)
+            .text('LIBERIA BUSINESS AWARDS', 80, 80, { ...centred, characterSpacing: 3 });
+        doc.font('Helvetica').fontSize(34).fillColor('#1a202c')
+            .text(credential.level === 'nominee' ? 'Certificate of Nomination' : 'Certificate of Achievement', 80, 115, centred);
+
+        doc.font('Helvetica').fontSize(14).fillColor('#4a5568')
+            .text('This certifies that', 80, 185, centred);
+        doc.font('Helvetica-Bold').fontSize(30).fillColor('#1a202c')
+            .text(credential.business_name, 80, 215, centred);
+
+        const role = credential.level === 'winner'
+            ? 'was named Winner'
+            : credential.level === 'finalist' ? 'was named a Finalist' : 'was an Official Nominee';
+        doc.font('Helvetica').fontSize(15).fillColor('#4a5568')
+            .text(`${role} in the ${credential.category} category`, 80, 275, centred)
+            .text(`of the ${credential.year} Liberia Business Awards`, 80, 297, centred);
+
+        doc.font('Helvetica-Bold').fontSize(20).fillColor(colour === BRAND_BLUE ? '#1f7fa8' : colour)
+            .text(CREDENTIAL_LEVELS[credential.level].toUpperCase(), 80, 345, { ...centred, characterSpacing: 4 });
+
+        doc.font('Helvetica-Oblique').fontSize(11).fillColor('#718096')
+            .text('Recognizing Local Excellence, Celebrating National Impact', 80, 395, centred);
+
+        const issued = new Date(issuedAt).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+        doc.font('Helvetica').fontSize(9).fillColor('#718096')
+            .text(`Issued ${issued}   |   Verification ID ${credential.credential_id}`, 80, height - 95, centred);
+        if (verifyUrl) {
+            doc.text(`Verify this certificate at ${verifyUrl}`, 80, height - 80, { ...centred, link: verifyUrl, underline: false });
+        }
+
+        doc.end();
+    });
+}
+
+module.exports = {
+    CREDENTIAL_LEVELS,
+    PNG_SIZES,
+    generateCredentialId,
+    isCredentialId,
+    badgeSvg,
+    badgePng,
+    certificatePdf
+};
@@ -0,0 +1,86 @@
+// ============================================
+// CSV HELPERS
+// ============================================
+// Minimal RFC 4180 parser - enough for spreadsheet exports (quoted fields,
+// escaped quotes, commas and newlines inside quotes, CRLF line endings) -
+// and the matching writer for our own exports.
+
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = String(text || '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Parse into objects keyed by the header row
+function parseCsvRecords(text) {
+    const [headers = [], ...rows] = parseCsv(text);
+    return rows.map(values => {
+        const record = {};
+        headers.forEach((header, i) => {
+            record[header.trim()] = (values[i] || '').trim();
+        });
+        return record;
+    });
+}
+
+// Cells a spreadsheet would run as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvField(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    // A leading quote keeps user-supplied text from running as a formula in
+    // Excel or Sheets. Real numbers are left alone so they stay numeric.
+    if (typeof value !== 'number' && FORMULA_START.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// headers: [label], rows: [[value]]. CRLF line endings for Excel.
+function toCsv(headers, rows) {
+    return [headers, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    parseCsv,
+    parseCsvRecords,
+    toCsv
+};
@@ -0,0 +1,20 @@
+// ============================================
+// RESULTS EMBARGO
+// ============================================
+// Final rankings of a cycle stay hidden from the public until its results are
+// out. A results package that is locked or approved holds them back until it
+// is published. Before that - no package yet, or a draft an admin has only
+// opened - the cycle's results_publish_date decides.
+
+const PENDING_RESULT_STATUSES = ['locked', 'approved'];
+
+function isResultsEmbargoed(cycle, result, now = new Date()) {
+    if (!cycle) return false;
+    if (result?.status === 'published') return false;
+    if (result && PENDING_RESULT_STATUSES.includes(result.status)) return true;
+    return Boolean(cycle.results_publish_date) && now < new Date(cycle.results_publish_date);
+}
+
+module.exports = {
+    isResultsEmbargoed
+};
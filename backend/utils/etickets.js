@@ -0,0 +1,112 @@
+// ============================================
+// E-TICKETS
+// ============================================
+// Every gala ticket carries a signed QR payload, so door staff can tell a real
+// ticket from a made-up ticket number without the buyer being online:
+//   LBA1:<ticket_number>:<signature>
+// The signature is an HMAC of the ticket number, cut to 128 bits to keep the
+// QR code easy to scan from a phone screen.
+//   png - the QR code on its own
+//   pdf - A6 ticket with event details, seat and QR code
+
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+
+const PAYLOAD_VERSION = 'LBA1';
+const SIGNATURE_LENGTH = 22;
+
+const BRAND_RED = '#FF0000';
+const BRAND_BLUE = '#87CEEB';
+
+function ticketSignature(ticketNumber, secret) {
+    return crypto.createHmac('sha256', secret)
+        .update(`ticket:${ticketNumber}`)
+        .digest('base64url')
+        .slice(0, SIGNATURE_LENGTH);
+}
+
+function signaturesMatch(expected, provided) {
+    const a = Buffer.from(String(expected));
+    const b = Buffer.from(String(provided || ''));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function ticketPayload(ticketNumber, secret) {
+    return `${PAYLOAD_VERSION}:${ticketNumber}:${ticketSignature(ticketNumber, secret)}`;
+}
+
+// Returns the ticket number, or null if the payload was not signed by us
+function verifyTicketPayload(payload, secret) {
+    const [version, ticketNumber, signature] = String(payload || '').trim().split(':');
+    if (version !== PAYLOAD_VERSION || !ticketNumber || !signature) return null;
+    return signaturesMatch(ticketSignature(ticketNumber, secret), signature) ? ticketNumber : null;
+}
+
+function verifyTicketSignature(ticketNumber, signature, secret) {
+    return signaturesMatch(ticketSignature(ticketNumber, secret), signature);
+}
+
+function ticketQrPng(payload, width = 480) {
+    return QRCode.toBuffer(payload, { type: 'png', errorCorrectionLevel: 'M', margin: 2, width });
+}
+
+// ticket: { ticket_number, tier_name, year, holder_name, holder_email, seat }
+// event: { date, time, venue }. Returns a Buffer.
+async function ticketPdf(ticket, { payload, event = {} }) {
+    const qr = await ticketQrPng(payload, 360);
+
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A6', margin: 0, info: {
+            Title: `Gala Ticket ${ticket.ticket_number}`,
+            Author: 'Liberia Business Awards'
+        } });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const { width, height } = doc.page;
+        const centred = { align: 'center', width: width - 40 };
+
+        doc.rect(0, 0, width, 56).fill(BRAND_RED);
+        doc.rect(0, 56, width, 4).fill(BRAND_BLUE);
+        doc.font('Helvetica-Bold').fontSize(12).fillColor('#ffffff')
+            .text('LIBERIA BUSINESS AWARDS', 20, 14, { ...centred, characterSpacing: 1.5 });
+        doc.font('Helvetica').fontSize(9)
+            .text(`${ticket.year} Awards Gala`, 20, 32, centred);
+
+        doc.font('Helvetica-Bold').fontSize(15).fillColor('#1a202c')
+            .text(ticket.tier_name, 20, 72, centred);
+        doc.font('Helvetica').fontSize(9).fillColor('#4a5568')
+            .text(ticket.seat?.label || 'Seat to be assigned', 20, 92, centred);
+
+        const qrSize = 150;
+        doc.image(qr, (width - qrSize) / 2, 110, { width: qrSize, height: qrSize });
+
+        doc.font('Courier-Bold').fontSize(10).fillColor('#1a202c')
+            .text(ticket.ticket_number, 20, 266, centred);
+        doc.font('Helvetica').fontSize(9).fillColor('#4a5568')
+            .text(ticket.holder_name || ticket.holder_email, 20, 282, centred);
+
+        doc.moveTo(20, 304).lineTo(width - 20, 304).lineWidth(0.5).stroke('#e2e8f0');
+        doc.font('Helvetica-Bold').fontSize(9).fillColor('#1a202c')
+            .text([event.date, event.time].filter(Boolean).join(' · '), 20, 314, centred);
+        doc.font('Helvetica').fontSize(8).fillColor('#4a5568')
+            .text(event.venue || '', 20, 328, centred);
+
+        doc.font('Helvetica-Oblique').fontSize(7).fillColor('#718096')
+            .text('Show this QR code at the entrance. Each ticket admits one guest once.', 20, height - 34, centred);
+
+        doc.end();
+    });
+}
+
+module.exports = {
+    ticketPayload,
+    ticketSignature,
+    verifyTicketPayload,
+    verifyTicketSignature,
+    ticketQrPng,
+    ticketPdf
+};
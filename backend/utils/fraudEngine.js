@@ -0,0 +1,160 @@
+// ============================================
+// FRAUD ENGINE
+// ============================================
+// Looks over the public votes of one cycle and returns the rules each vote
+// trips. It never writes anything - the caller decides what to quarantine.
+//   ip_burst          - many votes from one IP in a short window
+//   subnet_burst      - many votes from one /24 (IPv4) or /64 (IPv6) in a short window
+//   disposable_email  - throwaway mailbox domains
+//   gmail_alias       - dot / plus-address variations of one Gmail inbox
+//   business_velocity - implausible number of votes for one business in a short window
+// A multi-category ballot saves one vote per pick, all from the same IP at the
+// same moment, so the burst and velocity rules count a ballot once.
+
+const FRAUD_RULES = {
+    ip_burst: 'Burst of votes from one IP address',
+    subnet_burst: 'Burst of votes from one network subnet',
+    disposable_email: 'Disposable email domain',
+    gmail_alias: 'Variation of another Gmail address',
+    business_velocity: 'Implausible vote velocity for this business'
+};
+
+const DEFAULT_THRESHOLDS = {
+    ipBurst: { count: 5, windowMs: 10 * 60 * 1000 },
+    subnetBurst: { count: 15, windowMs: 10 * 60 * 1000 },
+    businessVelocity: { count: 30, windowMs: 15 * 60 * 1000 }
+};
+
+const DISPOSABLE_DOMAINS = new Set([
+    '10minutemail.com', '20minutemail.com', 'dispostable.com', 'emailondeck.com',
+    'fakeinbox.com', 'getnada.com', 'guerrillamail.com', 'guerrillamail.net',
+    'maildrop.cc', 'mailinator.com', 'mailnesia.com', 'mintemail.com',
+    'mohmal.com', 'moakt.com', 'sharklasers.com', 'spamgourmet.com',
+    'temp-mail.org', 'tempail.com', 'tempmail.com', 'tempmailo.com',
+    'throwawaymail.com', 'trashmail.com', 'yopmail.com', 'yopmail.net'
+]);
+
+const GMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+function emailDomain(email) {
+    return String(email || '').toLowerCase().split('@')[1] || '';
+}
+
+function isDisposableEmail(email) {
+    const domain = emailDomain(email);
+    // Also catch subdomains such as x.mailinator.com
+    return [...DISPOSABLE_DOMAINS].some(d => domain === d || domain.endsWith(`.${d}`));
+}
+
+// Gmail ignores dots and anything after '+', and googlemail.com is the same inbox
+function canonicalEmail(email) {
+    const [local = '', domain = ''] = String(email || '').trim().toLowerCase().split('@');
+    if (!GMAIL_DOMAINS.includes(domain)) {
+        return `${local}@${domain}`;
+    }
+    return `${local.split('+')[0].replace(/\./g, '')}@gmail.com`;
+}
+
+function subnetOf(ip) {
+    if (!ip) return null;
+    const address = ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+    if (address.includes('.')) {
+        return address.split('.').slice(0, 3).join('.') + '.0/24';
+    }
+    return address.split(':').slice(0, 4).join(':') + '::/64';
+}
+
+// One ballot is one submission however many categories it covers
+function submissionOf(vote) {
+    return String(vote.ballot_id || vote._id);
+}
+
+// Mark every vote that falls inside a window holding at least `count` submissions
+function flagBursts(votes, count, windowMs) {
+    const sorted = [...votes].sort((a, b) => a.createdAt - b.createdAt);
+    const flagged = new Set();
+    const inWindow = new Map();
+    let left = 0;
+
+    for (let right = 0; right < sorted.length; right++) {
+        const entering = submissionOf(sorted[right]);
+        inWindow.set(entering, (inWindow.get(entering) || 0) + 1);
+
+        while (sorted[right].createdAt - sorted[left].createdAt > windowMs) {
+            const leaving = submissionOf(sorted[left]);
+            if (inWindow.get(leaving) === 1) inWindow.delete(leaving);
+            else inWindow.set(leaving, inWindow.get(leaving) - 1);
+            left++;
+        }
+        if (inWindow.size >= count) {
+            for (let i = left; i <= right; i++) flagged.add(String(sorted[i]._id));
+        }
+    }
+
+    return flagged;
+}
+
+function groupBy(votes, keyFn) {
+    const groups = new Map();
+    votes.forEach(vote => {
+        const key = keyFn(vote);
+        if (!key) return;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(vote);
+    });
+    return groups;
+}
+
+// Returns Map(voteId -> [{ rule, detail }])
+function analyseVotes(votes, thresholds = {}) {
+    const limits = { ...DEFAULT_THRESHOLDS, ...thresholds };
+    const flags = new Map();
+    const addFlag = (vote, rule, detail) => {
+        const id = String(vote._id);
+        if (!flags.has(id)) flags.set(id, []);
+        if (!flags.get(id).some(f => f.rule === rule)) {
+            flags.get(id).push({ rule, detail });
+        }
+    };
+
+    const burstRule = (rule, keyFn, limit, describe) => {
+        groupBy(votes, keyFn).forEach((group, key) => {
+            if (group.length < limit.count) return;
+            const flagged = flagBursts(group, limit.count, limit.windowMs);
+            group.filter(v => flagged.has(String(v._id)))
+                .forEach(v => addFlag(v, rule, describe(key, limit)));
+        });
+    };
+
+    const minutes = ms => Math.round(ms / 60000);
+
+    burstRule('ip_burst', v => v.voter_ip, limits.ipBurst,
+        (ip, l) => `${l.count}+ votes from ${ip} within ${minutes(l.windowMs)} minutes`);
+    burstRule('subnet_burst', v => subnetOf(v.voter_ip), limits.subnetBurst,
+        (subnet, l) => `${l.count}+ votes from ${subnet} within ${minutes(l.windowMs)} minutes`);
+    burstRule('business_velocity', v => v.business_id, limits.businessVelocity,
+        (id, l) => `${l.count}+ votes for this business within ${minutes(l.windowMs)} minutes`);
+
+    votes.forEach(vote => {
+        if (isDisposableEmail(vote.voter_email)) {
+            addFlag(vote, 'disposable_email', `${emailDomain(vote.voter_email)} is a disposable email domain`);
+        }
+    });
+
+    groupBy(votes, v => canonicalEmail(v.voter_email)).forEach((group, canonical) => {
+        const addresses = new Set(group.map(v => String(v.voter_email).toLowerCase()));
+        if (!canonical.endsWith('@gmail.com') || addresses.size < 2) return;
+        group.forEach(v => addFlag(v, 'gmail_alias', `${addresses.size} variations of ${canonical}`));
+    });
+
+    return flags;
+}
+
+module.exports = {
+    FRAUD_RULES,
+    DEFAULT_THRESHOLDS,
+    canonicalEmail,
+    isDisposableEmail,
+    subnetOf,
+    analyseVotes
+};
@@ -0,0 +1,190 @@
+// ============================================
+// JURY STATISTICS
+// ============================================
+// Corrects for harsh and lenient judges and spots outliers. Works on the jury
+// votes of one cycle (judges are told apart by voter_email).
+//   zscore - each judge's scores are standardised against their own mean and
+//            spread, then put back on the panel-wide mean and spread
+//   rank   - each judge's scores become percentile ranks within that judge's
+//            own scores, spread over the 1-10 scale
+// Normalised values replace vote_value in the scoring engine; the raw scores
+// are never changed.
+
+const NORMALISATION_MODES = ['none', 'zscore', 'rank'];
+
+const OUTLIER_RULES = {
+    lenient: 'Scores well above the other judges on the same nominations',
+    harsh: 'Scores well below the other judges on the same nominations',
+    flat: 'Gives nearly the same score to every nomination',
+    disagreement: 'Ranks nominations differently from the other judges'
+};
+
+const DEFAULT_OUTLIER_THRESHOLDS = {
+    bias: 1.5,          // average points above/below the other judges
+    minSpread: 0.5,     // standard deviation below this is "flat"
+    minAgreement: 0,    // correlation with the other judges below this is "disagreement"
+    minVotes: 3         // judges with fewer scores are not flagged
+};
+
+function judgeKey(vote) {
+    return String(vote.voter_email || '').toLowerCase();
+}
+
+function mean(values) {
+    return values.length === 0 ? 0 : values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function stdDev(values) {
+    if (values.length < 2) return 0;
+    const m = mean(values);
+    return Math.sqrt(values.reduce((sum, v) => sum + (v - m) ** 2, 0) / values.length);
+}
+
+function clamp(value) {
+    return Math.min(10, Math.max(1, value));
+}
+
+function round(value, places = 4) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+function groupByJudge(votes) {
+    const groups = new Map();
+    votes.filter(v => v.is_jury).forEach(vote => {
+        const key = judgeKey(vote);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(vote);
+    });
+    return groups;
+}
+
+// Percentile position of every vote among one judge's votes (ties share the average rank)
+function percentileRanks(votes) {
+    const sorted = [...votes].sort((a, b) => a.vote_value - b.vote_value);
+    const ranks = new Map();
+    let i = 0;
+    while (i < sorted.length) {
+        let j = i;
+        while (j + 1 < sorted.length && sorted[j + 1].vote_value === sorted[i].vote_value) j++;
+        const averageRank = (i + j) / 2;
+        const percentile = sorted.length > 1 ? averageRank / (sorted.length - 1) : 0.5;
+        for (let k = i; k <= j; k++) ranks.set(String(sorted[k]._id), percentile);
+        i = j + 1;
+    }
+    return ranks;
+}
+
+// Returns Map(voteId -> normalised 1-10 value) for the jury votes, or null for 'none'
+function normaliseJuryScores(votes, mode) {
+    if (!mode || mode === 'none') return null;
+    if (!NORMALISATION_MODES.includes(mode)) {
+        throw new Error(`Unknown normalisation mode: ${mode}`);
+    }
+
+    const values = new Map();
+    const byJudge = groupByJudge(votes);
+
+    if (mode === 'rank') {
+        byJudge.forEach(judgeVotes => {
+            percentileRanks(judgeVotes).forEach((p, id) => values.set(id, round(1 + 9 * p)));
+        });
+        return values;
+    }
+
+    const all = votes.filter(v => v.is_jury).map(v => v.vote_value);
+    const panelMean = mean(all);
+    const panelSpread = stdDev(all);
+
+    byJudge.forEach(judgeVotes => {
+        const scores = judgeVotes.map(v => v.vote_value);
+        const judgeMean = mean(scores);
+        const judgeSpread = stdDev(scores);
+        judgeVotes.forEach(vote => {
+            const z = judgeSpread > 0 ? (vote.vote_value - judgeMean) / judgeSpread : 0;
+            values.set(String(vote._id), round(clamp(panelMean + z * panelSpread)));
+        });
+    });
+
+    return values;
+}
+
+function correlation(xs, ys) {
+    if (xs.length < 2) return null;
+    const mx = mean(xs);
+    const my = mean(ys);
+    let cov = 0;
+    let vx = 0;
+    let vy = 0;
+    xs.forEach((x, i) => {
+        cov += (x - mx) * (ys[i] - my);
+        vx += (x - mx) ** 2;
+        vy += (ys[i] - my) ** 2;
+    });
+    return vx === 0 || vy === 0 ? null : cov / Math.sqrt(vx * vy);
+}
+
+// Per-judge statistics with outlier flags. Bias and agreement compare a judge
+// with the average of the other judges on the nominations they both scored.
+function judgeStatistics(votes, thresholds = {}) {
+    const limits = { ...DEFAULT_OUTLIER_THRESHOLDS, ...thresholds };
+    const jury = votes.filter(v => v.is_jury);
+    const byJudge = groupByJudge(jury);
+
+    const byNomination = new Map();
+    jury.forEach(vote => {
+        const key = String(vote.nomination_id || vote.business_id);
+        if (!byNomination.has(key)) byNomination.set(key, []);
+        byNomination.get(key).push(vote);
+    });
+
+    const stats = [];
+    byJudge.forEach((judgeVotes, judge) => {
+        const scores = judgeVotes.map(v => v.vote_value);
+        const own = [];
+        const others = [];
+
+        judgeVotes.forEach(vote => {
+            const peers = byNomination.get(String(vote.nomination_id || vote.business_id))
+                .filter(v => judgeKey(v) !== judge);
+            if (peers.length === 0) return;
+            own.push(vote.vote_value);
+            others.push(mean(peers.map(v => v.vote_value)));
+        });
+
+        const bias = own.length > 0 ? mean(own.map((v, i) => v - others[i])) : null;
+        const agreement = correlation(own, others);
+        const spread = stdDev(scores);
+
+        const flags = [];
+        if (judgeVotes.length >= limits.minVotes) {
+            if (bias !== null && bias >= limits.bias) flags.push('lenient');
+            if (bias !== null && bias <= -limits.bias) flags.push('harsh');
+            if (spread < limits.minSpread) flags.push('flat');
+            if (agreement !== null && own.length >= limits.minVotes && agreement < limits.minAgreement) {
+                flags.push('disagreement');
+            }
+        }
+
+        stats.push({
+            judge_email: judge,
+            votes: judgeVotes.length,
+            mean: round(mean(scores), 2),
+            spread: round(spread, 2),
+            shared_nominations: own.length,
+            bias: bias === null ? null : round(bias, 2),
+            agreement: agreement === null ? null : round(agreement, 2),
+            flags: flags.map(rule => ({ rule, detail: OUTLIER_RULES[rule] }))
+        });
+    });
+
+    return stats.sort((a, b) => b.flags.length - a.flags.length || a.judge_email.localeCompare(b.judge_email));
+}
+
+module.exports = {
+    NORMALISATION_MODES,
+    OUTLIER_RULES,
+    DEFAULT_OUTLIER_THRESHOLDS,
+    normaliseJuryScores,
+    judgeStatistics
+};
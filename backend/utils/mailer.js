@@ -0,0 +1,73 @@
+// ============================================
+// SHARED MAIL TRANSPORT
+// ============================================
+// Every nodemailer-based email goes through getTransport().
+//   MAIL_TRANSPORT=memory  -> messages are kept in `outbox` (for tests)
+//   SMTP_HOST=...          -> plain SMTP (e.g. a local MailHog/smtp4dev stand-in)
+//   otherwise              -> Gmail with GMAIL_APP_PASSWORD
+// Tests can also swap in any nodemailer transport with setTransport().
+
+const nodemailer = require('nodemailer');
+
+const MAIL_FROM = process.env.MAIL_FROM || '"Liberia Business Awards" <liberiabusinessawards@gmail.com>';
+
+const outbox = [];
+let transport = null;
+
+function createMemoryTransport() {
+    return nodemailer.createTransport({
+        name: 'memory',
+        version: '1.0.0',
+        send(mail, callback) {
+            outbox.push(mail.data);
+            callback(null, {
+                envelope: mail.message.getEnvelope(),
+                messageId: `memory-${outbox.length}@liberiabusinessawards`
+            });
+        }
+    });
+}
+
+function createDefaultTransport() {
+    if (process.env.MAIL_TRANSPORT === 'memory') {
+        return createMemoryTransport();
+    }
+
+    if (process.env.SMTP_HOST) {
+        return nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT || '587'),
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+                : undefined
+        });
+    }
+
+    return nodemailer.createTransport({
+        service: 'gmail',
+        auth: {
+            user: 'liberiabusinessawards@gmail.com',
+            pass: process.env.GMAIL_APP_PASSWORD
+        }
+    });
+}
+
+function getTransport() {
+    if (!transport) {
+        transport = createDefaultTransport();
+    }
+    return transport;
+}
+
+function setTransport(newTransport) {
+    transport = newTransport;
+}
+
+module.exports = {
+    MAIL_FROM,
+    outbox,
+    getTransport,
+    setTransport,
+    createMemoryTransport
+};
@@ -0,0 +1,556 @@
+// ============================================
+// PAYMENTS
+// ============================================
+// Every way money reaches us sits behind the same adapter interface, so
+// ticket orders, ad bookings and AI upgrades don't care who took the money:
+//   createCharge(charge)       - start a payment. Returns { provider_reference,
+//                                status, next_action, provider_data }
+//   parseWebhook(request, ctx) - verify a provider callback. Returns { event_id,
+//                                payment, status, amount, currency,
+//                                transaction_id, reason } or null to ignore it
+//   fetchStatus(payment)       - optional, asks the provider directly
+//   cancelCharge(payment)      - optional, closes a checkout we no longer want
+//   minCheckoutMs              - optional, shortest expiresAt the provider accepts
+// Statuses are normalised to pending / succeeded / failed.
+//   mtn_momo      - MTN MoMo Collections request-to-pay. Callbacks are not
+//                   signed, so the status is always read back from MTN
+//   orange_money  - Orange Money Web Payment. Callbacks must carry the
+//                   notif_token issued when the payment was created
+//   stripe        - card checkout. Stripe-Signature HMAC, 5 minute window
+//   bank_transfer - transfer instructions only; an admin confirms receipt.
+//                   Needs the BANK_TRANSFER_* account details
+//   mock          - built-in checkout page with signed callbacks for local
+//                   testing. Only with PAYMENTS_MOCK_ENABLED=true and its own
+//                   PAYMENTS_MOCK_SECRET
+
+const crypto = require('crypto');
+
+const PAYMENT_METHODS = ['mobilemoney', 'card', 'bank'];
+
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+class PaymentError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'PaymentError';
+        this.status = status;
+    }
+}
+
+function signaturesMatch(expected, provided) {
+    const a = Buffer.from(String(expected || ''));
+    const b = Buffer.from(String(provided || ''));
+    return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function parseJson(rawBody) {
+    try {
+        return JSON.parse(Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || ''));
+    } catch (error) {
+        throw new PaymentError('Webhook body is not valid JSON');
+    }
+}
+
+// fetch() wrapper that turns provider errors into a 502 PaymentError
+async function providerRequest(provider, url, { method = 'GET', headers = {}, json, form } = {}) {
+    const options = { method, headers: { Accept: 'application/json', ...headers } };
+    if (json !== undefined) {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(json);
+    } else if (form !== undefined) {
+        options.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+        options.body = new URLSearchParams(form).toString();
+    }
+
+    const response = await fetch(url, options);
+    const text = await response.text();
+    let data = {};
+    try {
+        data = text ? JSON.parse(text) : {};
+    } catch (error) {
+        data = { message: text };
+    }
+
+    if (!response.ok) {
+        const detail = data.error?.message || data.message || data.description || response.statusText;
+        throw new PaymentError(`${provider} request failed: ${detail}`, 502);
+    }
+    return data;
+}
+
+function msisdn(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits.length >= 8 ? digits : null;
+}
+
+// ============ MTN MOBILE MONEY ============
+const momoConfig = () => ({
+    baseUrl: process.env.MOMO_BASE_URL || 'https://sandbox.momodeveloper.mtn.com',
+    subscriptionKey: process.env.MOMO_SUBSCRIPTION_KEY,
+    apiUser: process.env.MOMO_API_USER,
+    apiKey: process.env.MOMO_API_KEY,
+    environment: process.env.MOMO_TARGET_ENVIRONMENT || 'sandbox'
+});
+
+let momoToken = null;
+
+async function momoRequest(path, { method = 'GET', headers = {}, json } = {}) {
+    const config = momoConfig();
+    if (!momoToken || momoToken.expiresAt <= Date.now()) {
+        const token = await providerRequest('MTN MoMo', `${config.baseUrl}/collection/token/`, {
+            method: 'POST',
+            headers: {
+                Authorization: `Basic ${Buffer.from(`${config.apiUser}:${config.apiKey}`).toString('base64')}`,
+                'Ocp-Apim-Subscription-Key': config.subscriptionKey
+            }
+        });
+        momoToken = {
+            value: token.access_token,
+            expiresAt: Date.now() + (Number(token.expires_in) || 3600) * 1000 - 60 * 1000
+        };
+    }
+
+    return providerRequest('MTN MoMo', `${config.baseUrl}${path}`, {
+        method,
+        json,
+        headers: {
+            Authorization: `Bearer ${momoToken.value}`,
+            'X-Target-Environment': config.environment,
+            'Ocp-Apim-Subscription-Key': config.subscriptionKey,
+            ...headers
+        }
+    });
+}
+
+function momoResult(data) {
+    const status = String(data.status || '').toUpperCase();
+    return {
+        status: status === 'SUCCESSFUL' ? 'succeeded' : ['FAILED', 'REJECTED', 'TIMEOUT'].includes(status) ? 'failed' : 'pending',
+        amount: data.amount !== undefined ? Number(data.amount) : null,
+        currency: data.currency || null,
+        transaction_id: data.financialTransactionId || null,
+        reason: typeof data.reason === 'object' ? data.reason?.message || data.reason?.code : data.reason || null
+    };
+}
+
+const mtnMomo = {
+    name: 'mtn_momo',
+    label: 'MTN Mobile Money',
+    methods: ['mobilemoney'],
+
+    enabled() {
+        const config = momoConfig();
+        return Boolean(config.subscriptionKey && config.apiUser && config.apiKey);
+    },
+
+    async createCharge(charge) {
+        const phone = msisdn(charge.customer.phone);
+        if (!phone) {
+            throw new PaymentError('A mobile money number is required');
+        }
+
+        const referenceId = crypto.randomUUID();
+        await momoRequest('/collection/v1_0/requesttopay', {
+            method: 'POST',
+            headers: { 'X-Reference-Id': referenceId, 'X-Callback-Url': charge.urls.webhook },
+            json: {
+                amount: String(charge.amount),
+                currency: charge.currency,
+                externalId: charge.reference,
+                payer: { partyIdType: 'MSISDN', partyId: phone },
+                payerMessage: String(charge.description).slice(0, 160),
+                payeeNote: charge.reference
+            }
+        });
+
+        return {
+            provider_reference: referenceId,
+            status: 'pending',
+            next_action: {
+                type: 'approve_on_phone',
+                message: `Approve the ${charge.currency} ${charge.amount} payment request sent to ${phone}`
+            }
+        };
+    },
+
+    async fetchStatus(payment) {
+        return momoResult(await momoRequest(`/collection/v1_0/requesttopay/${payment.provider_reference}`));
+    },
+
+    async parseWebhook(request, { findPayment }) {
+        const body = parseJson(request.rawBody);
+        const payment = await findPayment({ reference: body.externalId || request.query.reference });
+        if (!payment) return null;
+
+        // Anyone can post to the callback URL - only MTN's own answer counts
+        const result = await this.fetchStatus(payment);
+        return { ...result, payment, event_id: `${payment.provider_reference}:${result.status}` };
+    }
+};
+
+// ============ ORANGE MONEY ============
+const orangeConfig = () => ({
+    baseUrl: process.env.ORANGE_MONEY_BASE_URL || 'https://api.orange.com',
+    clientId: process.env.ORANGE_MONEY_CLIENT_ID,
+    clientSecret: process.env.ORANGE_MONEY_CLIENT_SECRET,
+    merchantKey: process.env.ORANGE_MONEY_MERCHANT_KEY,
+    country: process.env.ORANGE_MONEY_COUNTRY || 'dev',
+    currency: process.env.ORANGE_MONEY_CURRENCY
+});
+
+let orangeToken = null;
+
+async function orangeRequest(path, json) {
+    const config = orangeConfig();
+    if (!orangeToken || orangeToken.expiresAt <= Date.now()) {
+        const token = await providerRequest('Orange Money', `${config.baseUrl}/oauth/v3/token`, {
+            method: 'POST',
+            headers: { Authorization: `Basic ${Buffer.from(`${config.clientId}:${config.clientSecret}`).toString('base64')}` },
+            form: { grant_type: 'client_credentials' }
+        });
+        orangeToken = {
+            value: token.access_token,
+            expiresAt: Date.now() + (Number(token.expires_in) || 3600) * 1000 - 60 * 1000
+        };
+    }
+
+    return providerRequest('Orange Money', `${config.baseUrl}/orange-money-webpay/${config.country}/v1${path}`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${orangeToken.value}` },
+        json
+    });
+}
+
+function orangeStatus(status) {
+    const value = String(status || '').toUpperCase();
+    return value === 'SUCCESS' ? 'succeeded' : ['FAILED', 'EXPIRED'].includes(value) ? 'failed' : 'pending';
+}
+
+const orangeMoney = {
+    name: 'orange_money',
+    label: 'Orange Money',
+    methods: ['mobilemoney'],
+
+    enabled() {
+        const config = orangeConfig();
+        return Boolean(config.clientId && config.clientSecret && config.merchantKey);
+    },
+
+    async createCharge(charge) {
+        const config = orangeConfig();
+        const data = await orangeRequest('/webpayment', {
+            merchant_key: config.merchantKey,
+            currency: config.currency || charge.currency,
+            order_id: charge.reference,
+            amount: charge.amount,
+            return_url: charge.urls.return,
+            cancel_url: charge.urls.cancel,
+            notif_url: charge.urls.webhook,
+            lang: 'en',
+            reference: 'Liberia Business Awards'
+        });
+
+        return {
+            provider_reference: data.pay_token,
+            status: 'pending',
+            provider_data: { notif_token: data.notif_token },
+            next_action: { type: 'redirect', url: data.payment_url }
+        };
+    },
+
+    async fetchStatus(payment) {
+        const data = await orangeRequest('/transactionstatus', {
+            order_id: payment.reference,
+            amount: payment.amount,
+            pay_token: payment.provider_reference
+        });
+        return { status: orangeStatus(data.status), transaction_id: data.txnid || null };
+    },
+
+    async parseWebhook(request, { findPayment }) {
+        const body = parseJson(request.rawBody);
+        const payment = await findPayment({ reference: request.query.reference });
+        if (!payment) return null;
+
+        if (!signaturesMatch(payment.provider_data?.notif_token, body.notif_token)) {
+            throw new PaymentError('Invalid notification token', 401);
+        }
+
+        const status = orangeStatus(body.status);
+        return {
+            payment,
+            status,
+            event_id: `${payment.provider_reference}:${status}`,
+            transaction_id: body.txnid || null
+        };
+    }
+};
+
+// ============ STRIPE (CARDS) ============
+const STRIPE_API = 'https://api.stripe.com/v1';
+
+function stripeRequest(path, { method = 'GET', form } = {}) {
+    return providerRequest('Stripe', `${STRIPE_API}${path}`, {
+        method,
+        form,
+        headers: { Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}` }
+    });
+}
+
+// Checkout Sessions only; anything else Stripe sends is ignored
+function stripeSessionResult(session, type) {
+    let status = 'pending';
+    if (type === 'checkout.session.async_payment_failed' || session.status === 'expired') {
+        status = 'failed';
+    } else if (session.payment_status === 'paid' || type === 'checkout.session.async_payment_succeeded') {
+        status = 'succeeded';
+    }
+    return {
+        status,
+        amount: session.amount_total !== undefined && session.amount_total !== null ? session.amount_total / 100 : null,
+        currency: session.currency ? session.currency.toUpperCase() : null,
+        transaction_id: typeof session.payment_intent === 'string' ? session.payment_intent : session.payment_intent?.id || null,
+        reason: session.status === 'expired' ? 'Checkout expired' : null
+    };
+}
+
+function verifyStripeSignature(rawBody, header, secret) {
+    const parts = String(header || '').split(',').map(part => part.split('='));
+    const timestamp = Number(parts.find(([key]) => key === 't')?.[1]);
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+    if (!timestamp || signatures.length === 0) return false;
+    if (Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) return false;
+
+    const expected = crypto.createHmac('sha256', secret)
+        .update(`${timestamp}.${Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : rawBody}`)
+        .digest('hex');
+    return signatures.some(signature => signaturesMatch(expected, signature));
+}
+
+const stripe = {
+    name: 'stripe',
+    label: 'Card (Visa / Mastercard)',
+    methods: ['card'],
+    // Stripe refuses a Checkout Session that expires sooner than this
+    minCheckoutMs: 30 * 60 * 1000,
+
+    enabled() {
+        return Boolean(process.env.STRIPE_SECRET_KEY && process.env.STRIPE_WEBHOOK_SECRET);
+    },
+
+    async createCharge(charge) {
+        const session = await stripeRequest('/checkout/sessions', {
+            method: 'POST',
+            form: {
+                mode: 'payment',
+                client_reference_id: charge.reference,
+                ...(charge.customer.email && { customer_email: charge.customer.email }),
+                success_url: charge.urls.return,
+                cancel_url: charge.urls.cancel,
+                'line_items[0][quantity]': '1',
+                'line_items[0][price_data][currency]': charge.currency.toLowerCase(),
+                'line_items[0][price_data][unit_amount]': String(Math.round(charge.amount * 100)),
+                'line_items[0][price_data][product_data][name]': charge.description,
+                'metadata[reference]': charge.reference,
+                'payment_intent_data[metadata][reference]': charge.reference,
+                ...(charge.expiresAt && { expires_at: String(Math.floor(charge.expiresAt.getTime() / 1000)) })
+            }
+        });
+
+        return {
+            provider_reference: session.id,
+            status: 'pending',
+            next_action: { type: 'redirect', url: session.url }
+        };
+    },
+
+    async fetchStatus(payment) {
+        return stripeSessionResult(await stripeRequest(`/checkout/sessions/${payment.provider_reference}`));
+    },
+
+    async cancelCharge(payment) {
+        await stripeRequest(`/checkout/sessions/${payment.provider_reference}/expire`, { method: 'POST' });
+    },
+
+    async parseWebhook(request, { findPayment }) {
+        if (!verifyStripeSignature(request.rawBody, request.headers['stripe-signature'], process.env.STRIPE_WEBHOOK_SECRET)) {
+            throw new PaymentError('Invalid Stripe signature', 401);
+        }
+
+        const event = parseJson(request.rawBody);
+        if (!String(event.type || '').startsWith('checkout.session.')) return null;
+
+        const session = event.data?.object || {};
+        const payment = await findPayment({ reference: session.client_reference_id || session.metadata?.reference });
+        if (!payment) return null;
+
+        return { ...stripeSessionResult(session, event.type), payment, event_id: event.id };
+    }
+};
+
+// ============ BANK TRANSFER ============
+const bankConfig = () => ({
+    bankName: process.env.BANK_TRANSFER_BANK_NAME,
+    accountName: process.env.BANK_TRANSFER_ACCOUNT_NAME,
+    accountNumber: process.env.BANK_TRANSFER_ACCOUNT_NUMBER,
+    swiftCode: process.env.BANK_TRANSFER_SWIFT || null
+});
+
+const bankTransfer = {
+    name: 'bank_transfer',
+    label: 'Bank Transfer',
+    methods: ['bank'],
+    manual: true,
+
+    enabled() {
+        const config = bankConfig();
+        return process.env.BANK_TRANSFER_ENABLED !== 'false' &&
+            Boolean(config.bankName && config.accountName && config.accountNumber);
+    },
+
+    async createCharge(charge) {
+        const config = bankConfig();
+        return {
+            provider_reference: charge.reference,
+            status: 'pending',
+            next_action: {
+                type: 'bank_transfer',
+                instructions: {
+                    bank_name: config.bankName,
+                    account_name: config.accountName,
+                    account_number: config.accountNumber,
+                    swift_code: config.swiftCode,
+                    amount: charge.amount,
+                    currency: charge.currency,
+                    reference: charge.reference
+                }
+            }
+        };
+    },
+
+    async parseWebhook() {
+        throw new PaymentError('Bank transfers are confirmed by an admin', 404);
+    }
+};
+
+// ============ MOCK ============
+const MOCK_SIGNATURE_HEADER = 'x-mock-signature';
+
+function mockSignature(rawBody) {
+    const secret = process.env.PAYMENTS_MOCK_SECRET;
+    if (!secret) throw new PaymentError('Mock payments are not configured', 404);
+    return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+}
+
+// Builds the callback the mock checkout page sends, signed like a real one
+function mockWebhook(payment, outcome) {
+    const rawBody = Buffer.from(JSON.stringify({
+        id: `mock_evt_${crypto.randomBytes(8).toString('hex')}`,
+        reference: payment.reference,
+        status: outcome === 'succeeded' ? 'succeeded' : 'failed',
+        amount: payment.amount,
+        currency: payment.currency,
+        transaction_id: `MOCK-TXN-${crypto.randomBytes(4).toString('hex').toUpperCase()}`
+    }));
+    return { rawBody, headers: { [MOCK_SIGNATURE_HEADER]: mockSignature(rawBody) }, query: {} };
+}
+
+const mock = {
+    name: 'mock',
+    label: 'Test Payment',
+    methods: PAYMENT_METHODS,
+
+    // Strictly opt-in: never offered unless explicitly switched on
+    enabled() {
+        return process.env.PAYMENTS_MOCK_ENABLED === 'true' && Boolean(process.env.PAYMENTS_MOCK_SECRET);
+    },
+
+    async createCharge(charge) {
+        return {
+            provider_reference: `MOCK-${charge.reference}`,
+            status: 'pending',
+            next_action: { type: 'redirect', url: `${charge.urls.api}/payments/mock/checkout/${charge.reference}` }
+        };
+    },
+
+    async parseWebhook(request, { findPayment }) {
+        if (!signaturesMatch(mockSignature(request.rawBody || ''), request.headers[MOCK_SIGNATURE_HEADER])) {
+            throw new PaymentError('Invalid mock signature', 401);
+        }
+
+        const event = parseJson(request.rawBody);
+        const payment = await findPayment({ reference: event.reference });
+        if (!payment) return null;
+
+        return {
+            payment,
+            event_id: event.id,
+            status: event.status === 'succeeded' ? 'succeeded' : 'failed',
+            amount: Number(event.amount),
+            currency: event.currency,
+            transaction_id: event.transaction_id,
+            reason: event.status === 'succeeded' ? null : 'Declined on the test checkout'
+        };
+    }
+};
+
+// ============ REGISTRY ============
+const providers = new Map();
+
+function registerProvider(adapter) {
+    providers.set(adapter.name, adapter);
+}
+
+// Mock last, so a real provider always wins when one is configured
+[mtnMomo, orangeMoney, stripe, bankTransfer, mock].forEach(registerProvider);
+
+function getProvider(name) {
+    return providers.get(name) || null;
+}
+
+function enabledProviders(method) {
+    return [...providers.values()].filter(p => p.enabled() && (!method || p.methods.includes(method)));
+}
+
+// The provider asked for if it's enabled for the method, else the first one that is
+function selectProvider(method, requested) {
+    const candidates = enabledProviders(method);
+    if (requested) return candidates.find(p => p.name === requested) || null;
+    return candidates[0] || null;
+}
+
+// A reported success only counts when it is for the amount and currency we
+// asked for. Returns null when it matches, else why it doesn't.
+function paymentMismatch(payment, result) {
+    const amountOff = result.amount !== null && result.amount !== undefined && Math.abs(Number(result.amount) - payment.amount) > 0.005;
+    const currencyOff = result.currency && String(result.currency).toUpperCase() !== payment.currency.toUpperCase();
+    if (!amountOff && !currencyOff) return null;
+    return `Provider reported ${result.currency || payment.currency} ${result.amount ?? payment.amount}, expected ${payment.currency} ${payment.amount}`;
+}
+
+// How long a held purchase needs for this provider's checkout. The first
+// checkout extends the hold to extendTo; any later one must fit in what is left.
+function checkoutHold(adapter, { holdMs, marginMs = 0, now = Date.now() }) {
+    const minimumMs = adapter?.minCheckoutMs ? adapter.minCheckoutMs + marginMs : 0;
+    return {
+        extendTo: new Date(now + Math.max(holdMs, minimumMs)),
+        fits: expiresAt => Boolean(expiresAt) && new Date(expiresAt).getTime() - now >= minimumMs
+    };
+}
+
+function describeProvider(adapter) {
+    return { name: adapter.name, label: adapter.label, methods: adapter.methods, manual: Boolean(adapter.manual) };
+}
+
+module.exports = {
+    PAYMENT_METHODS,
+    PaymentError,
+    registerProvider,
+    getProvider,
+    enabledProviders,
+    selectProvider,
+    describeProvider,
+    paymentMismatch,
+    checkoutHold,
+    mockWebhook
+};
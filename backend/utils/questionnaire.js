@@ -0,0 +1,207 @@
+// ============================================
+// NOMINATION QUESTIONNAIRES
+// ============================================
+// Admins describe each category's questions as a small form schema; the
+// functions here clean that schema up and check a nomination's answers
+// against it. Answers come in as { questionKey: value } and are stored as a
+// list with the question label, so they still read correctly if the
+// questionnaire is replaced in a later cycle.
+//   text / textarea - string, optional max_length
+//   number          - optional min / max
+//   select          - one of options
+//   multiselect     - any of options
+//   boolean         - yes / no
+//   document        - uploaded business documents, optionally limited to document_types
+
+const QUESTION_TYPES = ['text', 'textarea', 'number', 'select', 'multiselect', 'boolean', 'document'];
+
+const DEFAULT_MAX_LENGTH = { text: 500, textarea: 5000 };
+
+function questionKey(item) {
+    return String(item.key || item.label || '').trim().toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+function optionalNumber(value) {
+    return value === undefined || value === null || value === '' ? undefined : Number(value);
+}
+
+function cleanList(values) {
+    return [...new Set((Array.isArray(values) ? values : String(values || '').split(','))
+        .map(v => String(v).trim()).filter(Boolean))];
+}
+
+// Returns { questions } or { error }
+function normaliseQuestions(input, { documentTypes = [] } = {}) {
+    if (!Array.isArray(input) || input.length === 0) {
+        return { error: 'A questionnaire needs at least one question' };
+    }
+
+    const questions = [];
+    for (const item of input) {
+        const label = String(item.label || '').trim();
+        if (!label) {
+            return { error: 'Every question needs a label' };
+        }
+
+        const key = questionKey(item);
+        if (questions.some(q => q.key === key)) {
+            return { error: `Duplicate question: ${label}` };
+        }
+        if (!QUESTION_TYPES.includes(item.type)) {
+            return { error: `${label}: type must be one of ${QUESTION_TYPES.join(', ')}` };
+        }
+
+        const question = {
+            key,
+            label,
+            help_text: String(item.help_text || '').trim(),
+            type: item.type,
+            required: item.required === true || item.required === 'true'
+        };
+
+        if (item.type === 'select' || item.type === 'multiselect') {
+            question.options = cleanList(item.options);
+            if (question.options.length < 2) {
+                return { error: `${label}: list at least two options` };
+            }
+        }
+
+        if (item.type === 'number') {
+            question.min = optionalNumber(item.min);
+            question.max = optionalNumber(item.max);
+            if ([question.min, question.max].some(v => v !== undefined && !Number.isFinite(v))) {
+                return { error: `${label}: minimum and maximum must be numbers` };
+            }
+            if (question.min !== undefined && question.max !== undefined && question.min > question.max) {
+                return { error: `${label}: minimum must not be above the maximum` };
+            }
+        }
+
+        if (item.type === 'text' || item.type === 'textarea') {
+            const maxLength = optionalNumber(item.max_length);
+            if (maxLength !== undefined && (!Number.isInteger(maxLength) || maxLength < 1)) {
+                return { error: `${label}: maximum length must be a whole number` };
+            }
+            question.max_length = maxLength || DEFAULT_MAX_LENGTH[item.type];
+        }
+
+        if (item.type === 'document') {
+            question.document_types = cleanList(item.document_types);
+            const unknown = question.document_types.filter(t => !documentTypes.includes(t));
+            if (documentTypes.length > 0 && unknown.length > 0) {
+                return { error: `${label}: unknown document type ${unknown.join(', ')}` };
+            }
+        }
+
+        questions.push(question);
+    }
+
+    return { questions };
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || value === '' ||
+        (Array.isArray(value) && value.length === 0);
+}
+
+// Check one answer; returns { value } or { error }
+function checkAnswer(question, raw, documents) {
+    switch (question.type) {
+        case 'text':
+        case 'textarea': {
+            const value = String(raw).trim();
+            if (value.length > question.max_length) {
+                return { error: `${question.label} must be at most ${question.max_length} characters` };
+            }
+            return { value };
+        }
+        case 'number': {
+            const value = Number(raw);
+            if (!Number.isFinite(value)) return { error: `${question.label} must be a number` };
+            if (question.min !== undefined && question.min !== null && value < question.min) {
+                return { error: `${question.label} must be at least ${question.min}` };
+            }
+            if (question.max !== undefined && question.max !== null && value > question.max) {
+                return { error: `${question.label} must be at most ${question.max}` };
+            }
+            return { value };
+        }
+        case 'select': {
+            const value = String(raw).trim();
+            if (!question.options.includes(value)) {
+                return { error: `${question.label} must be one of: ${question.options.join(', ')}` };
+            }
+            return { value };
+        }
+        case 'multiselect': {
+            const value = cleanList(raw);
+            const invalid = value.filter(v => !question.options.includes(v));
+            if (invalid.length > 0) {
+                return { error: `${question.label}: ${invalid.join(', ')} is not an option` };
+            }
+            return { value };
+        }
+        case 'boolean': {
+            if (raw === true || raw === 'true' || raw === 'yes') return { value: true };
+            if (raw === false || raw === 'false' || raw === 'no') return { value: false };
+            return { error: `${question.label} must be yes or no` };
+        }
+        case 'document': {
+            const ids = cleanList(raw);
+            for (const id of ids) {
+                const document = documents.get(id);
+                if (!document) {
+                    return { error: `${question.label}: document not found in your uploads` };
+                }
+                if (question.document_types.length > 0 && !question.document_types.includes(document.type)) {
+                    return { error: `${question.label} accepts ${question.document_types.join(' / ')} documents only` };
+                }
+            }
+            return { value: ids };
+        }
+        default:
+            return { error: `${question.label}: unsupported question type` };
+    }
+}
+
+// answers: { key: value }. documents: Map(documentId -> { type }) of the
+// business's own uploads. With complete = true every required question must
+// be answered (used when the nomination is submitted); drafts may be partial.
+// Returns { answers } or { errors }.
+function validateAnswers(questions, answers = {}, { documents = new Map(), complete = false } = {}) {
+    const errors = [];
+    const result = [];
+    const known = new Set(questions.map(q => q.key));
+
+    Object.keys(answers || {}).forEach(key => {
+        if (!known.has(key)) errors.push(`Unknown question: ${key}`);
+    });
+
+    questions.forEach(question => {
+        const raw = (answers || {})[question.key];
+        if (isBlank(raw)) {
+            if (complete && question.required) errors.push(`${question.label} is required`);
+            return;
+        }
+
+        const { value, error } = checkAnswer(question, raw, documents);
+        if (error) {
+            errors.push(error);
+            return;
+        }
+        if (complete && question.required && isBlank(value)) {
+            errors.push(`${question.label} is required`);
+            return;
+        }
+        result.push({ key: question.key, label: question.label, type: question.type, value });
+    });
+
+    return errors.length > 0 ? { errors } : { answers: result };
+}
+
+module.exports = {
+    QUESTION_TYPES,
+    normaliseQuestions,
+    validateAnswers
+};
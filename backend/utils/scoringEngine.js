@@ -0,0 +1,192 @@
+// ============================================
+// SCORING ENGINE
+// ============================================
+// Single place where public and jury votes are turned into a score.
+// Public and jury votes are averaged separately (each on the 1-10 scale)
+// and then blended with the cycle's jury weight, e.g. 70% jury / 30% public.
+// A side with no votes contributes 0, so a nomination cannot win on public
+// votes alone before the jury has scored it.
+// Jury votes can also come from a rubric: each criterion is scored on its own
+// scale and the weighted result is mapped back onto the 1-10 vote scale.
+// Totals inside a category are ranked by score, then by the cycle's
+// tie-breakers; businesses still level after every tie-breaker share a rank.
+
+const DEFAULT_JURY_WEIGHT = 70;
+
+function average(values) {
+    if (values.length === 0) return 0;
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// Split votes into public and jury sub-scores
+function summariseVotes(votes) {
+    const publicValues = [];
+    const juryValues = [];
+
+    votes.forEach(vote => {
+        if (vote.is_jury) {
+            juryValues.push(vote.vote_value);
+        } else {
+            publicValues.push(vote.vote_value);
+        }
+    });
+
+    return {
+        public: { count: publicValues.length, average: average(publicValues) },
+        jury: { count: juryValues.length, average: average(juryValues) }
+    };
+}
+
+// Blend the two sub-scores. juryWeight is a percentage (0-100).
+function blendScore(summary, juryWeight = DEFAULT_JURY_WEIGHT) {
+    const jury = juryWeight / 100;
+    const pub = 1 - jury;
+    return summary.jury.average * jury + summary.public.average * pub;
+}
+
+// Full breakdown as stored on a nomination
+function computeBreakdown(votes, juryWeight = DEFAULT_JURY_WEIGHT) {
+    const summary = summariseVotes(votes);
+    const finalScore = blendScore(summary, juryWeight);
+
+    return {
+        public_average: round(summary.public.average),
+        public_votes: summary.public.count,
+        jury_average: round(summary.jury.average),
+        jury_votes: summary.jury.count,
+        jury_weight: juryWeight,
+        public_weight: 100 - juryWeight,
+        final_score: round(finalScore),
+        computed_at: new Date()
+    };
+}
+
+// Breakdown with the cycle's normalised jury values (vote id -> value) in
+// place of the raw jury scores, when the cycle normalises them
+function computeCycleBreakdown(votes, juryWeight, juryValues) {
+    if (!juryValues) {
+        return computeBreakdown(votes, juryWeight);
+    }
+
+    const adjusted = votes.map(v => (v.is_jury && juryValues.has(String(v._id))
+        ? { is_jury: true, vote_value: juryValues.get(String(v._id)) }
+        : v));
+    const breakdown = computeBreakdown(adjusted, juryWeight);
+    breakdown.jury_raw_average = round(summariseVotes(votes).jury.average);
+    return breakdown;
+}
+
+// Tie-breakers applied (in order) when two businesses in a category share the same average score
+const TIE_BREAKERS = {
+    jury_average: (a, b) => b.jury_average - a.jury_average,
+    vote_count: (a, b) => b.total_votes - a.total_votes,
+    earliest_submission: (a, b) => {
+        const time = (date) => date ? new Date(date).getTime() : Number.MAX_SAFE_INTEGER;
+        return time(a.submitted_at) - time(b.submitted_at);
+    }
+};
+const DEFAULT_TIE_BREAKERS = ['jury_average', 'vote_count', 'earliest_submission'];
+
+// Compare two totals: average score first, then the tie-breakers.
+// Returns the sort order and the name of the tie-breaker that decided it (if any).
+function compareVoteTotals(a, b, tieBreakers) {
+    if (Math.abs(a.average_score - b.average_score) > 1e-9) {
+        return { order: b.average_score - a.average_score, decidedBy: null };
+    }
+
+    for (const key of tieBreakers) {
+        const order = TIE_BREAKERS[key](a, b);
+        if (order !== 0) {
+            return { order, decidedBy: key };
+        }
+    }
+
+    return { order: 0, decidedBy: null };
+}
+
+// Rank one category's totals. Returns [{ total, rank, tied, tie_breaker }] best first.
+function rankVoteTotals(totals, tieBreakers = DEFAULT_TIE_BREAKERS) {
+    const sorted = [...totals].sort((a, b) => compareVoteTotals(a, b, tieBreakers).order);
+
+    const ranked = [];
+    sorted.forEach((total, i) => {
+        const prev = ranked[i - 1];
+        const withPrev = prev ? compareVoteTotals(sorted[i - 1], total, tieBreakers) : null;
+        const withNext = sorted[i + 1] ? compareVoteTotals(total, sorted[i + 1], tieBreakers) : null;
+        const sameScore = (cmp, other) => cmp && Math.abs(other.average_score - total.average_score) <= 1e-9;
+
+        ranked.push({
+            total,
+            rank: withPrev && withPrev.order === 0 ? prev.rank : i + 1,
+            tied: !!(sameScore(withPrev, sorted[i - 1]) || sameScore(withNext, sorted[i + 1])),
+            tie_breaker: (sameScore(withPrev, sorted[i - 1]) && withPrev.decidedBy)
+                || (sameScore(withNext, sorted[i + 1]) && withNext.decidedBy)
+                || null
+        });
+    });
+    return ranked;
+}
+
+// Turn per-criterion rubric scores into a single 1-10 vote value.
+// criteria: [{ key, label, weight, scale_min, scale_max }]
+// scores:   { [key]: number }
+// Returns { errors } when a score is missing or off its scale.
+function scoreRubric(criteria, scores = {}) {
+    const errors = [];
+    const breakdown = [];
+    let weighted = 0;
+    let totalWeight = 0;
+
+    criteria.forEach(criterion => {
+        const value = Number(scores[criterion.key]);
+        if (scores[criterion.key] === undefined || scores[criterion.key] === '' || !Number.isFinite(value)) {
+            errors.push(`${criterion.label} needs a score`);
+            return;
+        }
+        if (value < criterion.scale_min || value > criterion.scale_max) {
+            errors.push(`${criterion.label} must be between ${criterion.scale_min} and ${criterion.scale_max}`);
+            return;
+        }
+
+        // Position within the criterion's own scale, 0-1
+        const normalised = (value - criterion.scale_min) / (criterion.scale_max - criterion.scale_min);
+        weighted += normalised * criterion.weight;
+        totalWeight += criterion.weight;
+
+        breakdown.push({
+            criterion_key: criterion.key,
+            label: criterion.label,
+            score: value,
+            scale_min: criterion.scale_min,
+            scale_max: criterion.scale_max,
+            weight: criterion.weight
+        });
+    });
+
+    if (errors.length > 0) {
+        return { errors };
+    }
+
+    return {
+        vote_value: round(1 + 9 * (weighted / totalWeight), 2),
+        breakdown
+    };
+}
+
+function round(value, places = 4) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+    DEFAULT_JURY_WEIGHT,
+    summariseVotes,
+    blendScore,
+    computeBreakdown,
+    computeCycleBreakdown,
+    TIE_BREAKERS,
+    DEFAULT_TIE_BREAKERS,
+    compareVoteTotals,
+    rankVoteTotals,
+    scoreRubric
+};
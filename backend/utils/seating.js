@@ -0,0 +1,184 @@
+// ============================================
+// GALA SEATING
+// ============================================
+// The venue is a list of sections, each sold as one ticket tier. A section is
+// either rows of seats or a set of tables; in both cases `rows` holds the
+// groups ({ label, seats }) - for a table section each row is a table.
+// Seats are numbered 1..seats within their row or table.
+//   rows   - an order gets a contiguous run of seats in one row when possible
+//   tables - an order is kept at one table when possible, otherwise spread
+//            over as few tables as it takes
+
+const SECTION_KINDS = ['rows', 'tables'];
+
+const MAX_SEATS_PER_ROW = 200;
+
+function seatKey(sectionCode, row, number) {
+    return `${sectionCode}|${row}|${number}`;
+}
+
+function seatLabel(section, row, number) {
+    return section.kind === 'tables'
+        ? `${section.name}, Table ${row}, Seat ${number}`
+        : `${section.name}, Row ${row}, Seat ${number}`;
+}
+
+function sectionCode(item) {
+    return String(item.code || item.name || '').trim().toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Returns { sections } or { error }
+function normaliseLayout(input, { tierCodes = [] } = {}) {
+    if (!Array.isArray(input) || input.length === 0) {
+        return { error: 'A layout needs at least one section' };
+    }
+
+    const sections = [];
+    for (const [index, item] of input.entries()) {
+        const name = String(item.name || '').trim();
+        if (!name) {
+            return { error: 'Every section needs a name' };
+        }
+
+        const code = sectionCode(item);
+        if (sections.some(s => s.code === code)) {
+            return { error: `Duplicate section: ${name}` };
+        }
+        if (!SECTION_KINDS.includes(item.kind)) {
+            return { error: `${name}: kind must be one of ${SECTION_KINDS.join(', ')}` };
+        }
+
+        const tierCode = String(item.tier_code || '').trim().toLowerCase();
+        if (!tierCode || (tierCodes.length > 0 && !tierCodes.includes(tierCode))) {
+            return { error: `${name}: unknown ticket tier ${tierCode || '(none)'}` };
+        }
+
+        if (!Array.isArray(item.rows) || item.rows.length === 0) {
+            return { error: `${name}: add at least one ${item.kind === 'tables' ? 'table' : 'row'}` };
+        }
+
+        const rows = [];
+        for (const row of item.rows) {
+            const label = String(row.label || '').trim().toUpperCase();
+            const seats = Number(row.seats);
+            if (!label) {
+                return { error: `${name}: every ${item.kind === 'tables' ? 'table' : 'row'} needs a label` };
+            }
+            if (rows.some(r => r.label === label)) {
+                return { error: `${name}: duplicate ${item.kind === 'tables' ? 'table' : 'row'} ${label}` };
+            }
+            if (!Number.isInteger(seats) || seats < 1 || seats > MAX_SEATS_PER_ROW) {
+                return { error: `${name} ${label}: seats must be a whole number from 1 to ${MAX_SEATS_PER_ROW}` };
+            }
+            rows.push({ label, seats });
+        }
+
+        sections.push({
+            code,
+            name,
+            tier_code: tierCode,
+            kind: item.kind,
+            sort_order: item.sort_order !== undefined ? Number(item.sort_order) || 0 : index,
+            rows
+        });
+    }
+
+    return { sections: sections.sort((a, b) => a.sort_order - b.sort_order) };
+}
+
+function sectionSeatCount(section) {
+    return section.rows.reduce((sum, row) => sum + row.seats, 0);
+}
+
+function seatExists(sections, code, row, number) {
+    const section = sections.find(s => s.code === code);
+    const group = section && section.rows.find(r => r.label === row);
+    return Boolean(group && Number.isInteger(number) && number >= 1 && number <= group.seats);
+}
+
+function seat(section, row, number) {
+    return {
+        section_code: section.code,
+        section_name: section.name,
+        row: row.label,
+        number,
+        label: seatLabel(section, row.label, number)
+    };
+}
+
+// Runs of consecutive free seat numbers in one row or table
+function freeRuns(section, row, taken) {
+    const runs = [];
+    let run = [];
+    for (let n = 1; n <= row.seats; n++) {
+        if (taken.has(seatKey(section.code, row.label, n))) {
+            if (run.length > 0) runs.push(run);
+            run = [];
+        } else {
+            run.push(n);
+        }
+    }
+    if (run.length > 0) runs.push(run);
+    return runs;
+}
+
+// Every seat kept together: the front-most row with a gap big enough, using
+// the smallest such gap so bigger gaps stay open for bigger orders. Tables
+// work the same way, taking the table with the fewest free seats that fit.
+function fitTogether(section, taken, quantity) {
+    let best = null;
+    for (const row of section.rows) {
+        const runs = section.kind === 'tables'
+            ? [freeRuns(section, row, taken).flat()]
+            : freeRuns(section, row, taken);
+        for (const run of runs) {
+            if (run.length < quantity) continue;
+            if (!best || run.length < best.run.length) best = { row, run };
+        }
+        if (best && section.kind === 'rows') break;
+    }
+    return best ? best.run.slice(0, quantity).map(n => seat(section, best.row, n)) : null;
+}
+
+// Free seats in the order a split party should fill them: rows front to back,
+// tables with the most free seats first so the party sits at as few as possible
+function freeSeats(section, taken) {
+    const groups = section.rows.map(row => ({ row, free: freeRuns(section, row, taken).flat() }));
+    if (section.kind === 'tables') groups.sort((a, b) => b.free.length - a.free.length);
+    return groups.flatMap(({ row, free }) => free.map(n => seat(section, row, n)));
+}
+
+// sections: the tier's sections in allocation order. taken: Set of seatKey().
+// Returns { seats } or { error }.
+function allocateSeats(sections, taken, quantity) {
+    if (sections.length === 0) {
+        return { error: 'No seating sections are mapped to this tier' };
+    }
+
+    for (const section of sections) {
+        const seats = fitTogether(section, taken, quantity);
+        if (seats) return { seats };
+    }
+
+    // No row or table has room for everyone - split within one section if
+    // possible, and only spread over several sections as a last resort
+    for (const section of sections) {
+        const free = freeSeats(section, taken);
+        if (free.length >= quantity) return { seats: free.slice(0, quantity) };
+    }
+    const free = sections.flatMap(section => freeSeats(section, taken));
+    if (free.length >= quantity) return { seats: free.slice(0, quantity) };
+
+    return { error: `Not enough free seats for ${quantity} ticket(s)` };
+}
+
+module.exports = {
+    SECTION_KINDS,
+    seatKey,
+    seatLabel,
+    normaliseLayout,
+    sectionSeatCount,
+    seatExists,
+    allocateSeats
+};
@@ -0,0 +1,43 @@
+// ============================================
+// EVENT WAITLISTS
+// ============================================
+// Moves businesses off a full event's waitlist, oldest first. The store does
+// the atomic work against the database:
+//   nextWaitlisted(eventId) - earliest waitlisted registration, or null
+//   claimPlace(eventId)     - take a free place. Returns the event, or null
+//                             when the event is full
+//   promote(registration)   - waitlisted -> registered. Returns the updated
+//                             registration, or null if they left meanwhile
+//   releasePlace(eventId)   - hand back a place claimed for nobody
+//   leaveWaitlist(eventId)  - one fewer business waiting
+
+// Fill free places from the front of the waitlist. onPromoted(registration,
+// event) runs after each promotion. Returns the promoted registrations.
+async function promoteWaitlist(store, eventId, onPromoted) {
+    const promoted = [];
+
+    for (;;) {
+        const next = await store.nextWaitlisted(eventId);
+        if (!next) break;
+
+        const event = await store.claimPlace(eventId);
+        if (!event) break;
+
+        const registration = await store.promote(next);
+        if (!registration) {
+            // They left the waitlist in the meantime - give the place back and try the next one
+            await store.releasePlace(eventId);
+            continue;
+        }
+
+        await store.leaveWaitlist(eventId);
+        promoted.push(registration);
+        if (onPromoted) await onPromoted(registration, event);
+    }
+
+    return promoted;
+}
+
+module.exports = {
+    promoteWaitlist
+};
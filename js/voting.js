@@ -6,9 +6,10 @@ const VotingSystem = {
     // Configuration
     config: {
         apiUrl: 'https://liberia-business-awards-production.up.railway.app/api',
-        sheetsUrl: 'https://script.google.com/macros/s/AKfycbxxJTXMjUdlzxa3Y5u-Cvhzso0ln_6Fv2rX7Qb9w6d7c-JvoA_yuNa6ObLSgigjiCz3/exec',
-        // Voting is ALWAYS open - date check removed
-        isActive: true
+        // Set from the active award cycle via /voting/status
+        isActive: false,
+        votingStart: null,
+        votingEnd: null
     },
     
     // State
@@ -19,7 +20,14 @@ const VotingSystem = {
         voterEmail: null,
         isVerified: false,
         verificationCode: null,
-        votedBusinesses: []
+        // Signed-in voter account (see VOTER ACCOUNT below)
+        voter: null,
+        voterToken: null,
+        voteHistory: [],
+        votedBusinesses: [],
+        // Ballot being built: one pick per category, keyed by category
+        ballot: {},
+        businesses: []
     },
     
     // Initialize voting system
@@ -29,39 +37,71 @@ const VotingSystem = {
         this.loadLeaderboard();
         this.loadBusinesses();
         this.setupEventListeners();
-        this.loadVotedBusinesses();
+        this.loadVoterSession();
+        this.updateMyVotesLabel();
+        this.handleMagicLink().then(() => this.loadVotedBusinesses());
+        this.loadBallot();
+        this.renderBallotBar();
     },
     
-    // Display voting period message (auto-updates year)
-    displayVotingPeriodMessage: function() {
-        const currentYear = new Date().getFullYear();
-        const votingStart = `June 1, ${currentYear}`;
-        const votingEnd = `July 30, ${currentYear}`;
-        
+    // Display voting period message (from the active award cycle)
+    displayVotingPeriodMessage: async function() {
         const statusElement = document.getElementById('votingStatus');
         const countdownElement = document.getElementById('votingCountdown');
         
+        let status = null;
+        try {
+            const response = await fetch(`${this.config.apiUrl}/voting/status`);
+            status = await response.json();
+        } catch (error) {
+            console.error('Load voting status error:', error);
+        }
+        
+        const formatDate = (date) => new Date(date).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+        
+        this.config.isActive = !!(status && status.success && status.isActive);
+        this.config.votingStart = status?.startDate || null;
+        this.config.votingEnd = status?.endDate || null;
+        
         if (statusElement) {
-            statusElement.innerHTML = `
-                <div class="voting-active-badge">
-                    <i class="fas fa-check-circle"></i> VOTING IS OPEN!
-                </div>
-                <p>Support Liberian businesses by casting your vote. Public voting and jury evaluation from ${votingStart} - ${votingEnd}, ANNUALLY</p>
-            `;
+            if (this.config.isActive) {
+                statusElement.innerHTML = `
+                    <div class="voting-active-badge">
+                        <i class="fas fa-check-circle"></i> VOTING IS OPEN!
+                    </div>
+                    <p>Support Liberian businesses by casting your vote. Public voting runs from ${formatDate(this.config.votingStart)} - ${formatDate(this.config.votingEnd)}</p>
+                `;
+            } else if (this.config.votingStart && new Date(this.config.votingStart) > new Date()) {
+                statusElement.innerHTML = `
+                    <div class="voting-closed-badge">
+                        <i class="fas fa-clock"></i> VOTING OPENS SOON
+                    </div>
+                    <p>Public voting opens on ${formatDate(this.config.votingStart)}.</p>
+                `;
+            } else {
+                statusElement.innerHTML = `
+                    <div class="voting-closed-badge">
+                        <i class="fas fa-lock"></i> VOTING IS CLOSED
+                    </div>
+                    <p>Public voting is not open at the moment. Check back for the next edition of the awards.</p>
+                `;
+            }
         }
         
         if (countdownElement) {
-            countdownElement.innerHTML = '';
+            countdownElement.innerHTML = this.config.isActive && status.daysRemaining
+                ? `<span>${status.daysRemaining} day${status.daysRemaining === 1 ? '' : 's'} left to vote</span>`
+                : '';
         }
         
         console.log('📊 Voting Period:', {
-            start: votingStart,
-            end: votingEnd,
-            isActive: true
+            start: this.config.votingStart,
+            end: this.config.votingEnd,
+            isActive: this.config.isActive
         });
     },
     
-    // Load businesses for voting (from Google Sheets manual list)
+    // Load businesses for voting
 loadBusinesses: async function(page = 1) {
     const container = document.getElementById('votingBusinessesContainer');
     if (!container) return;
@@ -76,109 +116,29 @@ loadBusinesses: async function(page = 1) {
     `;
     
     try {
-        const url = `${this.config.sheetsUrl}?action=getVotingBusinesses&page=${page}&limit=12&category=${this.state.currentCategory}`;
-        console.log('📡 Fetching voting businesses from:', url);
-        
-        const response = await fetch(url);
+        const params = new URLSearchParams({ page, limit: 12, category: this.state.currentCategory });
+        const response = await fetch(`${this.config.apiUrl}/voting/businesses?${params}`);
         const data = await response.json();
         
-        console.log('📥 Response received:', data);
-        
-        // Check if we have businesses in the response
-        let businesses = [];
-        let pagination = null;
-        
-        if (data && data.businesses && Array.isArray(data.businesses)) {
-            businesses = data.businesses;
-            pagination = data.pagination;
-        } else if (data && data.success && data.businesses && Array.isArray(data.businesses)) {
-            businesses = data.businesses;
-            pagination = data.pagination;
-        } else {
-            console.warn('No businesses in response, using fallback data');
-            // Only use fallback if API really fails, not just empty
-            if (data && data.error) {
-                console.error('API Error:', data.error);
-                this.loadLocalVotingBusinesses(page);
-                return;
-            }
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to load businesses');
         }
         
-        if (businesses.length > 0) {
-            this.displayBusinesses(businesses);
-            if (pagination) {
-                this.displayPagination(pagination);
-            } else {
-                // Create pagination from businesses array
-                this.displayPagination({
-                    page: page,
-                    pages: Math.ceil(businesses.length / 12),
-                    total: businesses.length
-                });
-            }
-        } else {
-            // No businesses from API, show empty state
-            this.displayBusinesses([]);
-        }
+        this.displayBusinesses(data.businesses);
+        this.displayPagination(data.pagination);
         
     } catch (error) {
         console.error('Load businesses error:', error);
-        // Only fall back to local data on network error
-        this.loadLocalVotingBusinesses(page);
-    }
-},
-
-// Local fallback - businesses you manually add here (EMERGENCY BACKUP ONLY)
-loadLocalVotingBusinesses: function(page = 1) {
-    console.log('⚠️ Using local fallback voting businesses');
-    
-    // ============================================
-    // ✅ EMERGENCY BACKUP BUSINESSES
-    // ============================================
-    const votingBusinesses = [
-        {
-            _id: "vb_001",
-            business_name: "Stefix Services",
-            category: "General",
-            location: "Liberia",
-            logo: null,
-            vote_stats: { average_score: 0, total_votes: 0 }
-        },
-        {
-            _id: "vb_002",
-            business_name: "LBA OBSERVER",
-            category: "General",
-            location: "Liberia",
-            logo: null,
-            vote_stats: { average_score: 0, total_votes: 0 }
-        },
-        {
-            _id: "vb_003",
-            business_name: "Test Business",
-            category: "General",
-            location: "Liberia",
-            logo: null,
-            vote_stats: { average_score: 0, total_votes: 0 }
-        }
-    ];
-    
-    // Filter by category
-    let filtered = votingBusinesses;
-    if (this.state.currentCategory !== 'all') {
-        filtered = votingBusinesses.filter(b => b.category === this.state.currentCategory);
+        container.innerHTML = `
+            <div class="text-center py-5">
+                <i class="fas fa-exclamation-triangle fa-2x text-muted"></i>
+                <p class="mt-3">Voting businesses are temporarily unavailable.</p>
+                <button class="btn-details" onclick="VotingSystem.loadBusinesses(${page})">
+                    <i class="fas fa-redo"></i> Try again
+                </button>
+            </div>
+        `;
     }
-    
-    // Paginate
-    const limit = 12;
-    const start = (page - 1) * limit;
-    const paginated = filtered.slice(start, start + limit);
-    
-    this.displayBusinesses(paginated);
-    this.displayPagination({
-        page: page,
-        pages: Math.ceil(filtered.length / limit),
-        total: filtered.length
-    });
 },
     
     // Display businesses
@@ -186,6 +146,8 @@ loadLocalVotingBusinesses: function(page = 1) {
         const container = document.getElementById('votingBusinessesContainer');
         if (!container) return;
         
+        this.state.businesses = businesses || [];
+        
         if (!businesses || businesses.length === 0) {
             container.innerHTML = `
                 <div class="text-center py-5">
@@ -199,8 +161,10 @@ loadLocalVotingBusinesses: function(page = 1) {
         
         container.innerHTML = businesses.map(business => {
             const hasVoted = this.state.votedBusinesses.includes(business._id);
+            const onBallot = this.state.ballot[business.category]?.business_id === business._id;
             const avgScore = business.vote_stats?.average_score || 0;
-            const voteCount = business.vote_stats?.total_votes || 0;
+            // null when an admin has hidden vote counts
+            const voteCount = business.vote_stats?.total_votes ?? 0;
             
             return `
                 <div class="voting-card" data-business-id="${business._id}">
@@ -221,9 +185,10 @@ loadLocalVotingBusinesses: function(page = 1) {
                                 <span class="score-value">${avgScore.toFixed(1)}</span>
                                 <span class="score-label">/10</span>
                             </div>
+                            ${voteCount === null ? '' : `
                             <div class="vote-count">
                                 <i class="fas fa-users"></i> ${voteCount} votes
-                            </div>
+                            </div>`}
                         </div>
                     </div>
                     <div class="voting-card-footer">
@@ -232,8 +197,10 @@ loadLocalVotingBusinesses: function(page = 1) {
                                 <i class="fas fa-check-circle"></i> You voted for this business
                             </div>
                         ` : `
-                            <button class="btn-vote" onclick="VotingSystem.openVoteModal('${business._id}', '${this.escapeHtml(business.business_name)}', '${business.category || 'General'}')">
-                                <i class="fas fa-vote-yea"></i> Vote Now
+                            <button class="btn-vote ${onBallot ? 'on-ballot' : ''}" onclick="VotingSystem.openVoteModal('${business._id}', '${this.escapeHtml(business.business_name)}', '${business.category || 'General'}')">
+                                ${onBallot
+                                    ? `<i class="fas fa-check"></i> On your ballot (${this.state.ballot[business.category].vote_value}/10)`
+                                    : `<i class="fas fa-vote-yea"></i> Vote Now`}
                             </button>
                         `}
                         <button class="btn-details" onclick="VotingSystem.showBusinessDetails('${business._id}')">
@@ -279,7 +246,7 @@ loadLocalVotingBusinesses: function(page = 1) {
         container.innerHTML = html;
     },
 
-    // Load leaderboard
+    // Load leaderboard, then keep it live over the SSE stream while voting is open
 loadLeaderboard: async function() {
     const container = document.getElementById('votingLeaderboard');
     if (!container) return;
@@ -287,86 +254,265 @@ loadLeaderboard: async function() {
     container.innerHTML = '<div class="text-center py-3"><i class="fas fa-spinner fa-spin"></i> Loading leaderboard...</div>';
     
     try {
-        // ✅ FIXED: Get vote totals from Google Apps Script instead of Railway API
-        const response = await fetch(`${this.config.sheetsUrl}?action=getVoteTotals`);
+        // Ranks are per category (see /voting/leaderboard)
+        const response = await fetch(`${this.config.apiUrl}/voting/leaderboard?limit=${this.leaderboardLimit}`);
         const data = await response.json();
         
-        console.log('📊 Leaderboard data:', data);
-        
-        if (data.success && data.totals && data.totals.length > 0) {
-            // Sort by average score (highest first)
-            const sortedTotals = [...data.totals].sort((a, b) => b.averageScore - a.averageScore);
-            
-            // Add rank and filter out businesses with zero votes
-            const leaderboard = sortedTotals
-                .filter(item => item.totalVotes > 0)
-                .map((item, index) => ({
-                    rank: index + 1,
-                    business_name: item.businessName,
-                    category: item.category,
-                    total_votes: item.totalVotes,
-                    average_score: item.averageScore,
-                    public_votes: item.publicVotes,
-                    jury_votes: item.juryVotes
-                }));
-            
-            if (leaderboard.length > 0) {
-                container.innerHTML = `
-                    <div class="leaderboard-list">
-                        ${leaderboard.map(item => `
-                            <div class="leaderboard-item rank-${item.rank}">
-                                <div class="leaderboard-rank">#${item.rank}</div>
-                                <div class="leaderboard-info">
-                                    <div class="leaderboard-name">${this.escapeHtml(item.business_name)}</div>
-                                    <div class="leaderboard-category">${this.escapeHtml(item.category)}</div>
-                                </div>
-                                <div class="leaderboard-score">
-                                    <span class="score-number">${item.average_score.toFixed(1)}</span>
-                                    <span class="score-max">/10</span>
-                                    <div class="leaderboard-votes">${item.total_votes} votes</div>
-                                </div>
-                            </div>
-                        `).join('')}
-                    </div>
-                `;
-            } else {
-                container.innerHTML = '<p class="text-center text-muted">No votes yet. Be the first to vote!</p>';
-            }
+        if (data.success) {
+            this.applyLeaderboardSnapshot(data);
         } else {
             container.innerHTML = '<p class="text-center text-muted">No votes yet. Be the first to vote!</p>';
         }
+        this.connectLeaderboardStream();
     } catch (error) {
         console.error('Load leaderboard error:', error);
         container.innerHTML = '<p class="text-center text-muted">Leaderboard temporarily unavailable</p>';
     }
 },
     
+    leaderboardLimit: 3,
+    leaderboardStream: null,
+    
+    applyLeaderboardSnapshot: function(data) {
+        this.state.leaderboard = new Map((data.leaderboard || []).map(item => [item.business_id, item]));
+        this.state.leaderboardMeta = {
+            embargoed: data.embargoed,
+            results_publish_date: data.results_publish_date,
+            hide_counts: data.hide_counts
+        };
+        this.renderLeaderboard();
+    },
+    
+    // Merge a per-category delta pushed by the server
+    applyLeaderboardDelta: function(delta) {
+        if (!this.state.leaderboard) this.state.leaderboard = new Map();
+        delta.changes.forEach(item => this.state.leaderboard.set(item.business_id, item));
+        delta.removed.forEach(businessId => this.state.leaderboard.delete(businessId));
+        this.state.leaderboardMeta = {
+            ...this.state.leaderboardMeta,
+            embargoed: delta.embargoed,
+            hide_counts: delta.hide_counts
+        };
+        this.renderLeaderboard();
+    },
+    
+    connectLeaderboardStream: function() {
+        if (this.leaderboardStream || !window.EventSource) return;
+        
+        const stream = new EventSource(`${this.config.apiUrl}/voting/leaderboard/stream?limit=${this.leaderboardLimit}`);
+        stream.addEventListener('snapshot', event => this.applyLeaderboardSnapshot(JSON.parse(event.data)));
+        stream.addEventListener('delta', event => this.applyLeaderboardDelta(JSON.parse(event.data)));
+        stream.addEventListener('closed', () => {
+            stream.close();
+            this.leaderboardStream = null;
+        });
+        // Voting not open (the server refuses the stream) - keep the static leaderboard
+        stream.onerror = () => {
+            if (stream.readyState === EventSource.CLOSED) this.leaderboardStream = null;
+        };
+        this.leaderboardStream = stream;
+    },
+    
+    renderLeaderboard: function() {
+        const container = document.getElementById('votingLeaderboard');
+        if (!container) return;
+        
+        const meta = this.state.leaderboardMeta || {};
+        // Deltas cover every rank, so trim back to the top of each category here
+        const leaderboard = [...(this.state.leaderboard || new Map()).values()]
+            .filter(item => item.rank <= this.leaderboardLimit && item.total_votes !== 0)
+            .sort((a, b) => a.category.localeCompare(b.category) || a.rank - b.rank);
+        
+        if (leaderboard.length === 0) {
+            container.innerHTML = '<p class="text-center text-muted">No votes yet. Be the first to vote!</p>';
+            return;
+        }
+        
+        // Final results are embargoed until published - only public votes are shown
+        const embargoNote = meta.embargoed
+            ? `<p class="text-center text-muted small mb-2">Public vote standings. Final results will be announced${meta.results_publish_date ? ` on ${new Date(meta.results_publish_date).toLocaleDateString()}` : ''}.</p>`
+            : '';
+        container.innerHTML = `
+            ${embargoNote}
+            <div class="leaderboard-list">
+                ${leaderboard.map(item => `
+                    <div class="leaderboard-item rank-${item.rank}">
+                        <div class="leaderboard-rank">#${item.rank}</div>
+                        <div class="leaderboard-info">
+                            <div class="leaderboard-name">${this.escapeHtml(item.business_name)}</div>
+                            <div class="leaderboard-category">${this.escapeHtml(item.category)}</div>
+                        </div>
+                        <div class="leaderboard-score">
+                            <span class="score-number">${item.average_score.toFixed(1)}</span>
+                            <span class="score-max">/10</span>
+                            ${item.total_votes === null ? '' : `<div class="leaderboard-votes">${item.total_votes} votes</div>`}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    },
+    
     // Open vote modal
     openVoteModal: function(businessId, businessName, category) {
-        // REMOVED date check - voting is always open
+        if (!this.config.isActive) {
+            this.showToast('Voting is not open at the moment', 'error');
+            return;
+        }
+        
         this.state.selectedBusiness = { id: businessId, name: businessName, category: category };
         
         const modal = document.getElementById('voteModal');
         const businessInfo = document.getElementById('voteBusinessInfo');
         
+        const current = this.state.ballot[category];
+        
         businessInfo.innerHTML = `
             <strong>${this.escapeHtml(businessName)}</strong>
             <span class="badge">${category}</span>
+            ${current && current.business_id !== businessId
+                ? `<p class="ballot-replace-note">Your ${this.escapeHtml(category)} pick is currently ${this.escapeHtml(current.business_name)}. Adding this business will replace it.</p>`
+                : ''}
         `;
         
-        // Reset modal state
-        document.getElementById('voterEmail').value = '';
-        document.getElementById('verificationCode').value = '';
-        document.getElementById('verificationSection').style.display = 'none';
-        document.getElementById('voteSection').style.display = 'none';
-        document.getElementById('emailSection').style.display = 'block';
-        document.getElementById('voteValue').value = 5;
-        document.getElementById('voteValueDisplay').textContent = '5';
+        // Rating step - email verification happens once, when the ballot is submitted
+        const value = current && current.business_id === businessId ? current.vote_value : 5;
+        this.showModalStep('voteSection');
+        businessInfo.style.display = 'block';
+        document.getElementById('voteValue').value = value;
+        document.getElementById('voteValueDisplay').textContent = value;
         
         modal.classList.add('active');
         document.body.style.overflow = 'hidden';
     },
     
+    // Show one step of the vote modal
+    showModalStep: function(step) {
+        ['ballotReviewSection', 'emailSection', 'verificationSection', 'voteSection'].forEach(id => {
+            const section = document.getElementById(id);
+            if (section) section.style.display = id === step ? 'block' : 'none';
+        });
+        document.getElementById('voteBusinessInfo').style.display = 'none';
+    },
+    
+    // Add the selected business to the ballot (replaces any pick in the same category)
+    addToBallot: function() {
+        const business = this.state.selectedBusiness;
+        if (!business) return;
+        
+        const previous = this.state.ballot[business.category];
+        this.state.ballot[business.category] = {
+            business_id: business.id,
+            business_name: business.name,
+            category: business.category,
+            vote_value: parseInt(document.getElementById('voteValue').value)
+        };
+        this.saveBallot();
+        
+        this.showToast(previous && previous.business_id !== business.id
+            ? `${business.name} replaced ${previous.business_name} in ${business.category}`
+            : `${business.name} added to your ballot`, 'success');
+        
+        this.closeVoteModal();
+        this.displayBusinesses(this.state.businesses);
+        this.renderBallotBar();
+    },
+    
+    // Remove a category pick from the ballot
+    removeFromBallot: function(category) {
+        delete this.state.ballot[category];
+        this.saveBallot();
+        this.displayBusinesses(this.state.businesses);
+        this.renderBallotBar();
+        
+        if (Object.keys(this.state.ballot).length === 0) {
+            this.closeVoteModal();
+        } else {
+            this.renderBallotReview();
+        }
+    },
+    
+    // Ballot summary bar under the businesses grid
+    renderBallotBar: function() {
+        const bar = document.getElementById('votingBallotBar');
+        if (!bar) return;
+        
+        const picks = Object.values(this.state.ballot);
+        if (picks.length === 0) {
+            bar.innerHTML = '';
+            bar.classList.remove('active');
+            return;
+        }
+        
+        bar.classList.add('active');
+        bar.innerHTML = `
+            <div class="ballot-bar-info">
+                <i class="fas fa-clipboard-list"></i>
+                <span>Your ballot: <strong>${picks.length}</strong> categor${picks.length === 1 ? 'y' : 'ies'}</span>
+            </div>
+            <button class="btn-primary" onclick="VotingSystem.reviewBallot()">
+                Review & Submit
+            </button>
+        `;
+    },
+    
+    // Ballot review step
+    reviewBallot: function() {
+        if (!this.config.isActive) {
+            this.showToast('Voting is not open at the moment', 'error');
+            return;
+        }
+        if (Object.keys(this.state.ballot).length === 0) {
+            this.showToast('Add at least one business to your ballot first', 'error');
+            return;
+        }
+        
+        this.renderBallotReview();
+        this.showModalStep('ballotReviewSection');
+        
+        const confirmBtn = document.getElementById('confirmBallotBtn');
+        if (confirmBtn) confirmBtn.textContent = this.state.voterToken ? 'Submit Ballot' : 'Confirm & Verify Email';
+        
+        document.getElementById('voteModal').classList.add('active');
+        document.body.style.overflow = 'hidden';
+    },
+    
+    renderBallotReview: function() {
+        const list = document.getElementById('ballotReviewList');
+        if (!list) return;
+        
+        list.innerHTML = Object.values(this.state.ballot).map(pick => `
+            <div class="ballot-review-item">
+                <div>
+                    <div class="ballot-review-category">${this.escapeHtml(pick.category)}</div>
+                    <div class="ballot-review-name">${this.escapeHtml(pick.business_name)}</div>
+                </div>
+                <div class="ballot-review-score">${pick.vote_value}/10</div>
+                <button class="ballot-review-remove" title="Remove" data-category="${this.escapeHtml(pick.category).replace(/"/g, '&quot;')}">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `).join('');
+        
+        // Category names can contain quotes, so they are read back from the
+        // data attribute rather than written into an inline handler
+        list.querySelectorAll('.ballot-review-remove').forEach(btn => {
+            btn.addEventListener('click', () => this.removeFromBallot(btn.dataset.category));
+        });
+    },
+    
+    // Ballot confirmed - signed-in voters submit straight away, everyone
+    // else verifies their email first
+    confirmBallot: function() {
+        if (this.state.voterToken) {
+            this.submitBallot();
+            return;
+        }
+        document.getElementById('voterEmail').value = this.state.voterEmail || '';
+        document.getElementById('verificationCode').value = '';
+        this.showModalStep('emailSection');
+    },
+    
     // Send verification code
 sendVerificationCode: async function() {
     const email = document.getElementById('voterEmail').value.trim();
@@ -388,26 +534,19 @@ sendVerificationCode: async function() {
     sendBtn.disabled = true;
     
     try {
-        const response = await fetch(this.config.sheetsUrl, {
+        const response = await fetch(`${this.config.apiUrl}/voting/send-verification`, {
             method: 'POST',
-            headers: { 
-                'Content-Type': 'application/x-www-form-urlencoded'
-            },
-            body: new URLSearchParams({
-                formType: 'send_verification',
-                email: email
-            })
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email })
         });
         
         const data = await response.json();
-        console.log('📧 Verification response:', data);
         
         if (data.success) {
             this.state.voterEmail = email;
             this.showToast('Verification code sent to your email!', 'success');
             // Proceed to verification step
-            document.getElementById('emailSection').style.display = 'none';
-            document.getElementById('verificationSection').style.display = 'block';
+            this.showModalStep('verificationSection');
             this.startVerificationCountdown();
         } else {
             this.showToast(data.error || 'Failed to send code', 'error');
@@ -457,27 +596,21 @@ verifyCode: async function() {
     verifyBtn.disabled = true;
     
     try {
-        const response = await fetch(this.config.sheetsUrl, {
+        const response = await fetch(`${this.config.apiUrl}/voting/verify`, {
             method: 'POST',
-            headers: { 
-                'Content-Type': 'application/x-www-form-urlencoded'
-            },
-            body: new URLSearchParams({
-                formType: 'verify_voter',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
                 email: this.state.voterEmail,
                 code: code
             })
         });
         
         const data = await response.json();
-        console.log('🔐 Verification response:', data);
         
         if (data.success && data.verified) {
             this.state.isVerified = true;
             this.state.verificationCode = code;
-            document.getElementById('verificationSection').style.display = 'none';
-            document.getElementById('voteSection').style.display = 'block';
-            this.showToast('Email verified! You can now vote.', 'success');
+            await this.submitBallot();
         } else {
             this.showToast(data.error || 'Invalid verification code', 'error');
         }
@@ -497,78 +630,81 @@ verifyCode: async function() {
         document.getElementById('resendCodeBtn').style.display = 'none';
     },
     
-    // Submit vote
-submitVote: async function() {
-    if (!this.state.selectedBusiness || !this.state.selectedBusiness.id) {
-        this.showToast('Please select a business to vote for', 'error');
+    // Submit the reviewed ballot
+submitBallot: async function() {
+    const picks = Object.values(this.state.ballot);
+    if (picks.length === 0) {
         this.closeVoteModal();
         return;
     }
     
-    const voteValue = parseInt(document.getElementById('voteValue').value);
-    
-    const submitBtn = document.getElementById('submitVoteBtn');
-    const originalText = submitBtn.innerHTML;
-    
-    submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Submitting...';
-    submitBtn.disabled = true;
-    
     try {
-        const businessId = this.state.selectedBusiness.id;
-        const businessName = this.state.selectedBusiness.name;
-        const businessCategory = this.state.selectedBusiness.category;
-        const voterEmail = this.state.voterEmail;
-        const verificationCode = this.state.verificationCode;
-        
-        const response = await fetch(this.config.sheetsUrl, {
+        const response = await fetch(`${this.config.apiUrl}/voting/ballot`, {
             method: 'POST',
-            headers: { 
-                'Content-Type': 'application/x-www-form-urlencoded'
-            },
-            body: new URLSearchParams({
-                formType: 'vote',
-                businessId: businessId,
-                businessName: businessName,
-                category: businessCategory,
-                voteValue: voteValue,
-                voterEmail: voterEmail,
-                verificationCode: verificationCode,
-                source: 'website'
+            headers: { 'Content-Type': 'application/json', ...this.voterHeaders() },
+            body: JSON.stringify({
+                ...(!this.state.voterToken && {
+                    voter_email: this.state.voterEmail,
+                    verification_code: this.state.verificationCode
+                }),
+                picks: picks.map(pick => ({
+                    business_id: pick.business_id,
+                    category: pick.category,
+                    vote_value: pick.vote_value
+                }))
             })
         });
         
         const data = await response.json();
-        console.log('🗳️ Vote submission response:', data);
         
         if (data.success) {
             this.showToast(data.message, 'success');
             this.closeVoteModal();
-            this.state.votedBusinesses.push(businessId);
-            localStorage.setItem('votedBusinesses', JSON.stringify(this.state.votedBusinesses));
-            this.loadBusinesses(this.state.currentPage);
+            // Verifying the email also signs the voter in
+            if (data.voter_token) {
+                this.saveVoterSession(data.voter_token, data.voter);
+            }
+            this.state.ballot = {};
+            this.saveBallot();
+            this.renderBallotBar();
+            picks.forEach(pick => this.state.votedBusinesses.push(pick.business_id));
+            if (this.state.voterToken) {
+                this.loadVotedBusinesses();
+            } else {
+                this.loadBusinesses(this.state.currentPage);
+            }
             this.loadLeaderboard();
+        } else if (this.state.voterToken && response.status === 403 && data.error === 'Email verification required') {
+            // Voter session expired - fall back to the email code
+            this.clearVoterSession();
+            this.confirmBallot();
         } else {
-            this.showToast(data.error || 'Failed to submit vote', 'error');
+            const details = (data.pick_errors || []).map(e => `${e.category}: ${e.error}`).join('; ');
+            this.showToast(details || data.error || 'Failed to submit ballot', 'error');
+            // Let the voter fix the ballot and try again
+            this.renderBallotReview();
+            this.showModalStep('ballotReviewSection');
         }
     } catch (error) {
-        console.error('Submit vote error:', error);
+        console.error('Submit ballot error:', error);
         this.showToast('Network error. Please try again.', 'error');
-    } finally {
-        submitBtn.innerHTML = originalText;
-        submitBtn.disabled = false;
     }
 },
     
-    // Load voted businesses from localStorage
-    loadVotedBusinesses: function() {
-        const saved = localStorage.getItem('votedBusinesses');
+    // Keep the ballot across page reloads in this tab
+    loadBallot: function() {
+        const saved = sessionStorage.getItem('votingBallot');
         if (saved) {
             try {
-                this.state.votedBusinesses = JSON.parse(saved);
+                this.state.ballot = JSON.parse(saved) || {};
             } catch (e) {}
         }
     },
     
+    saveBallot: function() {
+        sessionStorage.setItem('votingBallot', JSON.stringify(this.state.ballot));
+    },
+    
     // Show business details
 showBusinessDetails: async function(businessId) {
     const modal = document.getElementById('businessDetailsModal');
@@ -579,48 +715,23 @@ showBusinessDetails: async function(businessId) {
     document.body.style.overflow = 'hidden';
     
     try {
-        // ✅ FIXED: Get business details from Google Apps Script, not Railway API
-        // First, get the business basic info from voting businesses list
-        const businessesResponse = await fetch(`${this.config.sheetsUrl}?action=getVotingBusinesses&page=1&limit=100`);
-        const businessesData = await businessesResponse.json();
-        
-        let business = null;
-        if (businessesData && businessesData.businesses && Array.isArray(businessesData.businesses)) {
-            business = businessesData.businesses.find(b => b._id === businessId);
-        }
-        
-        // Get vote stats from Google Apps Script (VoteTotals sheet)
-        const totalsResponse = await fetch(`${this.config.sheetsUrl}?action=getVoteTotals`);
-        const totalsData = await totalsResponse.json();
-        
-        // Find stats for this business
-        let stats = {
-            average_score: 0,
-            total_votes: 0,
-            public_votes: 0,
-            jury_votes: 0
-        };
+        const response = await fetch(`${this.config.apiUrl}/voting/business/${encodeURIComponent(businessId)}/stats`);
+        const data = await response.json();
         
-        if (totalsData && totalsData.success && totalsData.totals) {
-            const businessStats = totalsData.totals.find(t => t.businessId === businessId);
-            if (businessStats) {
-                stats = {
-                    average_score: businessStats.averageScore || 0,
-                    total_votes: businessStats.totalVotes || 0,
-                    public_votes: businessStats.publicVotes || 0,
-                    jury_votes: businessStats.juryVotes || 0
-                };
-            }
+        if (!data.success) {
+            throw new Error(data.error || 'Business not found');
         }
         
-        // Get recent votes from Google Apps Script (Votes sheet)
-        const votesResponse = await fetch(`${this.config.sheetsUrl}?action=getBusinessVotes&businessId=${businessId}`);
-        const votesData = await votesResponse.json();
-        
-        let recentVotes = [];
-        if (votesData && votesData.success && votesData.votes) {
-            recentVotes = votesData.votes;
-        }
+        const business = data.business;
+        // Counts are withheld in "hide counts" mode
+        const count = (value) => data.hide_counts ? '—' : (value || 0);
+        const stats = {
+            average_score: data.stats.average_score || 0,
+            total_votes: count(data.stats.total_votes),
+            public_votes: count(data.stats.public_votes),
+            jury_votes: count(data.stats.jury_votes)
+        };
+        const recentVotes = data.recent_votes || [];
         
         const businessName = business?.business_name || 'Business';
         const businessCategory = business?.category || 'General';
@@ -669,9 +780,9 @@ showBusinessDetails: async function(businessId) {
                         <div class="recent-votes-list">
                             ${recentVotes.slice(0, 10).map(v => `
                                 <div class="recent-vote-item">
-                                    <span class="vote-date">${new Date(v.timestamp).toLocaleDateString()}</span>
-                                    <span class="vote-rating">${v.voteValue}/10</span>
-                                    <span class="vote-type ${v.voteWeight === 3 ? 'jury' : 'public'}">${v.voteWeight === 3 ? 'Jury' : 'Public'}</span>
+                                    <span class="vote-date">${new Date(v.createdAt).toLocaleDateString()}</span>
+                                    <span class="vote-rating">${v.vote_value}/10</span>
+                                    <span class="vote-type ${v.is_jury ? 'jury' : 'public'}">${v.is_jury ? 'Jury' : 'Public'}</span>
                                 </div>
                             `).join('')}
                         </div>
@@ -844,6 +955,317 @@ showBusinessDetails: async function(businessId) {
         });
     },
     
+    // ============ VOTER ACCOUNT ============
+    // Signed-in voters skip the email code on every ballot, see their votes
+    // across cycles and can withdraw a vote while voting is open
+    loadVoterSession: function() {
+        this.state.voterToken = localStorage.getItem('lba_voter_token');
+        try {
+            this.state.voter = JSON.parse(localStorage.getItem('lba_voter') || 'null');
+        } catch (e) {
+            this.state.voter = null;
+        }
+        // Old browser-only record of votes, replaced by the voter account
+        localStorage.removeItem('votedBusinesses');
+    },
+    
+    saveVoterSession: function(token, voter) {
+        this.state.voterToken = token;
+        this.state.voter = voter;
+        localStorage.setItem('lba_voter_token', token);
+        localStorage.setItem('lba_voter', JSON.stringify(voter));
+        this.updateMyVotesLabel();
+    },
+    
+    clearVoterSession: function() {
+        this.state.voterToken = null;
+        this.state.voter = null;
+        this.state.voteHistory = [];
+        this.state.votedBusinesses = [];
+        localStorage.removeItem('lba_voter_token');
+        localStorage.removeItem('lba_voter');
+        this.updateMyVotesLabel();
+    },
+    
+    voterHeaders: function() {
+        return this.state.voterToken ? { 'Authorization': `Bearer ${this.state.voterToken}` } : {};
+    },
+    
+    updateMyVotesLabel: function() {
+        const label = document.getElementById('myVotesLabel');
+        if (label) label.textContent = this.state.voter ? 'My Votes' : 'Sign in to My Votes';
+    },
+    
+    // Sign-in links land on /?voter_email=...&voter_code=...#voting
+    handleMagicLink: async function() {
+        const params = new URLSearchParams(window.location.search);
+        const email = params.get('voter_email');
+        const code = params.get('voter_code');
+        if (!email || !code) return;
+        
+        // Keep the code out of the address bar and history
+        params.delete('voter_email');
+        params.delete('voter_code');
+        const query = params.toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+        
+        if (await this.startVoterSession(email, code)) {
+            this.openMyVotes();
+        }
+    },
+    
+    startVoterSession: async function(email, code) {
+        try {
+            const response = await fetch(`${this.config.apiUrl}/voters/session`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ email, code })
+            });
+            const data = await response.json();
+            
+            if (!data.success) {
+                this.showToast(data.error || 'Sign-in link is invalid or has expired', 'error');
+                return false;
+            }
+            
+            this.saveVoterSession(data.token, data.voter);
+            this.showToast('You are signed in', 'success');
+            return true;
+        } catch (error) {
+            console.error('Voter sign-in error:', error);
+            this.showToast('Network error. Please try again.', 'error');
+            return false;
+        }
+    },
+    
+    // Votes already cast this cycle come from the voter's account
+    loadVotedBusinesses: async function() {
+        if (!this.state.voterToken) {
+            this.state.votedBusinesses = [];
+            return;
+        }
+        
+        try {
+            const response = await fetch(`${this.config.apiUrl}/voters/me`, { headers: this.voterHeaders() });
+            if (response.status === 401) {
+                this.clearVoterSession();
+                return;
+            }
+            
+            const data = await response.json();
+            if (!data.success) return;
+            
+            this.state.voter = data.voter;
+            localStorage.setItem('lba_voter', JSON.stringify(data.voter));
+            this.state.voteHistory = data.votes;
+            this.state.votedBusinesses = data.votes
+                .filter(v => v.status !== 'withdrawn' && v.cycle && v.cycle._id === data.current_cycle_id)
+                .map(v => v.business_id);
+            
+            this.updateMyVotesLabel();
+            this.loadBusinesses(this.state.currentPage);
+        } catch (error) {
+            console.error('Load voter history error:', error);
+        }
+    },
+    
+    openMyVotes: async function() {
+        const modal = document.getElementById('myVotesModal');
+        if (!modal) return;
+        
+        modal.classList.add('active');
+        document.body.style.overflow = 'hidden';
+        
+        if (this.state.voterToken) {
+            document.getElementById('myVotesContent').innerHTML = '<div class="text-center py-5"><i class="fas fa-spinner fa-spin fa-2x"></i><p>Loading your votes...</p></div>';
+            await this.loadVotedBusinesses();
+        }
+        this.renderMyVotes();
+    },
+    
+    closeMyVotes: function() {
+        const modal = document.getElementById('myVotesModal');
+        if (!modal) return;
+        modal.classList.remove('active');
+        document.body.style.overflow = 'auto';
+    },
+    
+    renderMyVotes: function() {
+        const content = document.getElementById('myVotesContent');
+        if (!content) return;
+        
+        if (!this.state.voter) {
+            content.innerHTML = `
+                <p class="ballot-review-intro">Sign in with the email you vote with to see your votes, withdraw a vote while voting is open, and hear about the results.</p>
+                <div class="form-group mt-3">
+                    <label>Your Email Address</label>
+                    <input type="email" id="myVotesEmail" placeholder="you@example.com" value="${this.escapeHtml(this.state.voterEmail || '')}">
+                </div>
+                <button class="btn-primary btn-block" id="myVotesSendBtn" onclick="VotingSystem.requestSignInLink()">
+                    Email Me a Sign-in Link
+                </button>
+                <div id="myVotesCodeStep" style="display: none;" class="mt-3">
+                    <div class="form-group">
+                        <label>Or enter the code from the email</label>
+                        <input type="text" id="myVotesCode" placeholder="8-character code">
+                    </div>
+                    <button class="btn-secondary btn-block" onclick="VotingSystem.signInWithCode()">Sign In</button>
+                </div>
+            `;
+            return;
+        }
+        
+        const statusLabels = {
+            counted: 'Counted',
+            under_review: 'Under review',
+            not_counted: 'Not counted',
+            withdrawn: 'Withdrawn'
+        };
+        
+        // Group by edition, newest first (the API already sorts by date)
+        const groups = [];
+        (this.state.voteHistory || []).forEach(vote => {
+            const key = vote.cycle ? vote.cycle._id : 'other';
+            let group = groups.find(g => g.key === key);
+            if (!group) {
+                group = { key, title: vote.cycle ? (vote.cycle.name || `${vote.cycle.year} Awards`) : 'Earlier votes', votes: [] };
+                groups.push(group);
+            }
+            group.votes.push(vote);
+        });
+        
+        content.innerHTML = `
+            <div class="my-votes-account">
+                <div><i class="fas fa-user-check"></i> ${this.escapeHtml(this.state.voter.email)}</div>
+                <button class="btn-link" onclick="VotingSystem.signOutVoter()">Sign out</button>
+            </div>
+            <label class="my-votes-optin">
+                <input type="checkbox" ${this.state.voter.announcements_opt_in ? 'checked' : ''} onchange="VotingSystem.toggleAnnouncements(this.checked)">
+                Email me when the winners are announced
+            </label>
+            ${groups.length === 0 ? '<p class="text-muted" style="text-align: center; padding: 20px;">You have not voted yet</p>' : groups.map(group => `
+                <h4 class="my-votes-cycle">${this.escapeHtml(group.title)}</h4>
+                ${group.votes.map(vote => `
+                    <div class="ballot-review-item ${vote.status === 'withdrawn' ? 'my-votes-withdrawn' : ''}">
+                        <div>
+                            <div class="ballot-review-category">${this.escapeHtml(vote.category)} &middot; ${new Date(vote.cast_at).toLocaleDateString()}</div>
+                            <div class="ballot-review-name">${this.escapeHtml(vote.business_name)}</div>
+                        </div>
+                        <span class="my-votes-status ${vote.status}">${statusLabels[vote.status] || vote.status}</span>
+                        <div class="ballot-review-score">${vote.vote_value}/10</div>
+                        ${vote.can_withdraw ? `
+                            <button class="ballot-review-remove" title="Withdraw this vote" onclick="VotingSystem.withdrawVote('${vote._id}')">
+                                <i class="fas fa-undo"></i>
+                            </button>
+                        ` : ''}
+                    </div>
+                `).join('')}
+            `).join('')}
+        `;
+    },
+    
+    requestSignInLink: async function() {
+        const email = document.getElementById('myVotesEmail').value.trim();
+        if (!this.isValidEmail(email)) {
+            this.showToast('Please enter a valid email address', 'error');
+            return;
+        }
+        
+        const sendBtn = document.getElementById('myVotesSendBtn');
+        const originalText = sendBtn.innerHTML;
+        sendBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Sending...';
+        sendBtn.disabled = true;
+        
+        try {
+            const response = await fetch(`${this.config.apiUrl}/voters/login`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ email })
+            });
+            const data = await response.json();
+            
+            if (data.success) {
+                this.state.voterEmail = email;
+                this.showToast('Check your email for the sign-in link', 'success');
+                document.getElementById('myVotesCodeStep').style.display = 'block';
+            } else {
+                this.showToast(data.error || 'Failed to send sign-in link', 'error');
+            }
+        } catch (error) {
+            console.error('Voter login error:', error);
+            this.showToast('Network error. Please try again.', 'error');
+        } finally {
+            sendBtn.innerHTML = originalText;
+            sendBtn.disabled = false;
+        }
+    },
+    
+    signInWithCode: async function() {
+        const code = document.getElementById('myVotesCode').value.trim();
+        if (!code) {
+            this.showToast('Please enter the code from your email', 'error');
+            return;
+        }
+        
+        if (await this.startVoterSession(this.state.voterEmail, code)) {
+            await this.openMyVotes();
+        }
+    },
+    
+    signOutVoter: function() {
+        this.clearVoterSession();
+        this.renderMyVotes();
+        this.loadBusinesses(this.state.currentPage);
+    },
+    
+    toggleAnnouncements: async function(optIn) {
+        try {
+            const response = await fetch(`${this.config.apiUrl}/voters/me`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json', ...this.voterHeaders() },
+                body: JSON.stringify({ announcements_opt_in: optIn })
+            });
+            const data = await response.json();
+            
+            if (data.success) {
+                this.saveVoterSession(this.state.voterToken, data.voter);
+                this.showToast(optIn ? 'We will email you when the winners are announced' : 'Results emails turned off', 'success');
+            } else {
+                this.showToast(data.error || data.message || 'Could not update your preference', 'error');
+                this.renderMyVotes();
+            }
+        } catch (error) {
+            console.error('Update voter preference error:', error);
+            this.showToast('Network error. Please try again.', 'error');
+            this.renderMyVotes();
+        }
+    },
+    
+    withdrawVote: async function(voteId) {
+        const vote = (this.state.voteHistory || []).find(v => v._id === voteId);
+        if (!vote || !confirm(`Withdraw your vote for ${vote.business_name}? You can vote again while voting is open.`)) return;
+        
+        try {
+            const response = await fetch(`${this.config.apiUrl}/voters/me/votes/${encodeURIComponent(voteId)}`, {
+                method: 'DELETE',
+                headers: this.voterHeaders()
+            });
+            const data = await response.json();
+            
+            if (data.success) {
+                this.showToast(data.message, 'success');
+                await this.loadVotedBusinesses();
+                this.renderMyVotes();
+                this.loadLeaderboard();
+            } else {
+                this.showToast(data.error || 'Could not withdraw this vote', 'error');
+            }
+        } catch (error) {
+            console.error('Withdraw vote error:', error);
+            this.showToast('Network error. Please try again.', 'error');
+        }
+    },
+    
     // Close vote modal
     closeVoteModal: function() {
         const modal = document.getElementById('voteModal');
@@ -885,10 +1307,17 @@ showBusinessDetails: async function(businessId) {
             }
         });
         
+        document.getElementById('myVotesModal')?.addEventListener('click', (e) => {
+            if (e.target === document.getElementById('myVotesModal')) {
+                this.closeMyVotes();
+            }
+        });
+        
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
                 this.closeVoteModal();
                 this.closeDetailsModal();
+                this.closeMyVotes();
             }
         });
     },
@@ -993,7 +1422,9 @@ function shareVotingByEmail() {
         'Hi,\n\nI wanted to share the Liberia Business Awards voting page with you.\n\n' +
         'Cast your vote for the best businesses in Liberia! Support local entrepreneurs and help choose the winners.\n\n' +
         'Vote here: ' + url + '\n\n' +
-        'Voting period: June 1 - July 30, ' + currentYear + '\n\n' +
+        (VotingSystem.config.votingStart && VotingSystem.config.votingEnd
+            ? 'Voting period: ' + new Date(VotingSystem.config.votingStart).toLocaleDateString() + ' - ' + new Date(VotingSystem.config.votingEnd).toLocaleDateString() + '\n\n'
+            : '') +
         'Best regards,\n' +
         document.title
     );